@@ -25,10 +25,39 @@ class PocketService extends JsonService {
     };
   }
 
+  /**
+   * Access tokens are short lived, they are renewed with the refresh token
+   * and the request is replayed once if it was rejected with a 401
+   */
+  async request(opts) {
+    try {
+      return await super.request(opts);
+    } catch (e) {
+      const status = _.get(e, 'response.status');
+      const isAuthRoute = /^\/users\/(login|refresh)/.test(opts.path);
+      if (status !== 401 || isAuthRoute || !Store.getters.refreshToken || opts.retried) {
+        throw e;
+      }
+      await Store.dispatch('refreshSession');
+      return super.request(_.extend({}, opts, {
+        retried: true,
+        headers: _.extend({}, opts.headers, this.headers)
+      }));
+    }
+  }
+
   async login(username, password) {
     return this.POST('/users/login', { username, password });
   }
 
+  async refresh(refreshToken) {
+    return this.POST('/users/refresh', { refreshToken });
+  }
+
+  async logout() {
+    return this.POST('/users/logout', {}, this.headers);
+  }
+
   async getUser() {
     if (!this.authToken) {
       return null;
@@ -38,6 +67,22 @@ class PocketService extends JsonService {
     return user;
   }
 
+  async fetchApiKeys() {
+    return this.GET('/users/apikeys', {}, this.headers);
+  }
+
+  async createApiKey(params) {
+    return this.POST('/users/apikeys', params, this.headers);
+  }
+
+  async revokeApiKey(id) {
+    return this.POST(`/users/apikeys/${id}/revoke`, {}, this.headers);
+  }
+
+  async deleteApiKey(id) {
+    return this.DELETE(`/users/apikeys/${id}`, {}, this.headers);
+  }
+
   async fetchSchemas() {
     return this.GET('/admin/schemas', {}, this.headers);
   }
@@ -50,7 +95,15 @@ class PocketService extends JsonService {
     return this.GET(`/rest/${resource}`, {}, this.headers);
   }
 
-  async fetchPage(resource, page = 1, pageSize = 25) {
+  async fetchPage(resource, page = 1, pageSize = 25, params = {}) {
+    return this.fetchPaginated(`/rest/${resource}`, page, pageSize, params);
+  }
+
+  async fetchAuditLog(filters = {}, page = 1, pageSize = 50) {
+    return this.fetchPaginated('/audit', page, pageSize, filters);
+  }
+
+  async fetchPaginated(path, page = 1, pageSize = 25, params = {}) {
     if (page < 1) {
       page = 1;
     }
@@ -59,8 +112,8 @@ class PocketService extends JsonService {
     }
     try {
       const { data, headers } = await this.request({
-        path: `/rest/${resource}`,
-        params: { page, pageSize },
+        path,
+        params: { ...params, page, pageSize },
         headers: this.headers,
         method: 'GET',
       });
@@ -89,6 +142,26 @@ class PocketService extends JsonService {
     return this.DELETE(`/rest/${resource}/${ID(record)}`, {}, this.headers);
   }
 
+  async restoreRecord(resource, record) {
+    return this.POST(`/rest/${resource}/${ID(record)}/restore`, {}, this.headers);
+  }
+
+  async purgeRecord(resource, record) {
+    return this.DELETE(`/rest/${resource}/${ID(record)}`, { purge: true }, this.headers);
+  }
+
+  async publishRecord(resource, record, publishAt = null) {
+    return this.POST(`/rest/${resource}/${ID(record)}/publish`, { publishAt }, this.headers);
+  }
+
+  async unpublishRecord(resource, record) {
+    return this.POST(`/rest/${resource}/${ID(record)}/unpublish`, {}, this.headers);
+  }
+
+  async archiveRecord(resource, record) {
+    return this.POST(`/rest/${resource}/${ID(record)}/archive`, {}, this.headers);
+  }
+
   async deleteAttachment(resource, record, attachmentId) {
     return this.DELETE(`/rest/${resource}/${ID(record)}/attachments/${attachmentId}`, {}, this.headers);
   }
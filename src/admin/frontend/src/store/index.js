@@ -22,12 +22,14 @@ export default new Vuex.Store({
   state: {
     schemas: [],
     user: null,
-    authToken: LocalStorage.get('authToken')
+    authToken: LocalStorage.get('authToken'),
+    refreshToken: LocalStorage.get('refreshToken')
   },
   getters: {
     schemas: getter('schemas'),
     currentUser: getter('user'),
-    authToken: getter('authToken')
+    authToken: getter('authToken'),
+    refreshToken: getter('refreshToken')
   },
   actions: {
 
@@ -37,7 +39,7 @@ export default new Vuex.Store({
     },
 
     async login(ctx, { username, password }) {
-      const { user, token } = await PocketService.login(username, password);
+      const { user, token, refreshToken } = await PocketService.login(username, password);
 
       if (!_.includes(user.groups, 'admins')) {
         throw { message: 'Access Forbidden' };
@@ -45,6 +47,7 @@ export default new Vuex.Store({
 
       ctx.commit('setUser', user);
       ctx.commit('setAuthToken', token);
+      ctx.commit('setRefreshToken', refreshToken);
       return user;
     },
 
@@ -59,9 +62,21 @@ export default new Vuex.Store({
       }
     },
 
-    logout(ctx) {
+    async refreshSession(ctx) {
+      const { token, refreshToken } = await PocketService.refresh(ctx.getters.refreshToken);
+      ctx.commit('setAuthToken', token);
+      ctx.commit('setRefreshToken', refreshToken);
+    },
+
+    async logout(ctx) {
+      try {
+        await PocketService.logout();
+      } catch (e) {
+        // The session may already be expired, nothing to revoke
+      }
       ctx.commit('clearUser');
       ctx.commit('setAuthToken', null);
+      ctx.commit('setRefreshToken', null);
     }
 
   },
@@ -74,6 +89,11 @@ export default new Vuex.Store({
       LocalStorage.set('authToken', token);
     },
 
+    setRefreshToken(state, token) {
+      state.refreshToken = token;
+      LocalStorage.set('refreshToken', token);
+    },
+
     clearUser(state) {
       state.user = null;
     }
@@ -44,7 +44,9 @@ module.exports = function(pocket) {
     const schemas = _.map(pocket.resources, ({ schema }, name) => {
       return {
         name,
-        fields: schema.fields
+        fields: schema.fields,
+        softDelete: !!schema.option("softDelete"),
+        publishing: !!schema.option("publishing")
       };
     });
     res.json(schemas);
@@ -0,0 +1,142 @@
+const _                  = require("lodash");
+const Schema             = require("../schema");
+const logger             = require("../utils/logger");
+const { diff }           = require("../utils/objects");
+
+// Internal logs which would only be noise in the audit
+const IGNORED_RESOURCES = [
+    "_audit",
+    "_revisions",
+    "_deliveries",
+    "_processes",
+    "_sessions",
+    "_resets",
+    "_attempts",
+    "_authorizations"
+];
+
+// Properties which change on every save and are not worth reporting
+const UNTRACKED_PROPERTIES = [
+    "_id",
+    "_createdAt",
+    "_updatedAt",
+    "_createdBy"
+];
+
+/**
+ * Keeps a log of the write operations made through resources
+ *
+ * Entries are stored in the private _audit resource
+ *
+ * @class AuditLog
+ */
+class AuditLog {
+
+    constructor(pocket) {
+        this.pocket     = pocket;
+        this.pending    = new Set();
+        this.resource   = pocket.resource("_audit", new Schema({
+            fields: {
+                action: {
+                    type: "string",
+                    required: true,
+                    index: true
+                },
+                resource: {
+                    type: "string",
+                    required: true,
+                    index: true
+                },
+                record: {
+                    type: "string",
+                    index: true
+                },
+                user: {
+                    type: "string",
+                    index: true
+                },
+                username: "string",
+                ip: "string",
+                fields: {
+                    type: "array",
+                    items: {
+                        type: "string"
+                    }
+                }
+            }
+        }));
+
+        pocket.on("change", (change) => {
+            const promise = this.track(change)
+                .catch(e => {
+                    logger.error(`[AUDIT] Failed to log '${change.resource}.${change.action}'`);
+                    logger.error(e);
+                })
+                .then(() => this.pending.delete(promise));
+            this.pending.add(promise);
+        });
+    }
+
+    /**
+     * Stores an audit entry for a change emitted by a resource
+     *
+     * @param {object} change
+     * @returns {Promise<object>} the entry, or null if the resource isn't audited
+     * @memberof AuditLog
+     */
+    async track(change) {
+        const { action, resource, record, previous, context = {} } = change;
+
+        if (_.includes(IGNORED_RESOURCES, resource)) {
+            return null;
+        }
+
+        const { user, request } = context;
+
+        return this.resource.create({
+            action,
+            resource,
+            record:     record && record._id,
+            user:       user ? user.id : undefined,
+            username:   user ? user.username : undefined,
+            ip:         request ? (request.ip || _.get(request, "connection.remoteAddress")) : undefined,
+            fields:     this.changedFields(action, record, previous)
+        }, { skipValidation: true });
+    }
+
+    changedFields(action, record, previous) {
+        if (action === "remove") {
+            return [];
+        }
+        if (action === "create") {
+            return _.reject(_.keys(record), key => _.startsWith(key, "_"));
+        }
+        return _.keys(diff(previous, record, UNTRACKED_PROPERTIES));
+    }
+
+    /**
+     * Returns the audit entries matching a query, latest first
+     *
+     * @param {object} [query={}]
+     * @param {object} [opts={}] see Resource.find
+     * @returns {Promise<object[]>}
+     * @memberof AuditLog
+     */
+    find(query = {}, opts = {}) {
+        return this.resource.find(query, _.extend({ sort: "-_createdAt,-_id" }, opts));
+    }
+
+    /**
+     * Resolves once the entries being written are stored
+     *
+     * @returns {Promise}
+     * @memberof AuditLog
+     */
+    async flush() {
+        while (this.pending.size > 0) {
+            await Promise.all(Array.from(this.pending));
+        }
+    }
+}
+
+module.exports = { AuditLog };
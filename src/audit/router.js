@@ -0,0 +1,75 @@
+const _                = require("lodash");
+const express          = require("express");
+const { isNumeric }    = require("../utils/helpers");
+const { parseFilter }  = require("../utils/query");
+const {
+    Error,
+    FORBIDDEN
+} = require("../utils/errors");
+
+// Query parameters which can be used to filter the entries directly
+const FILTERS = [
+    "action",
+    "resource",
+    "record",
+    "user",
+    "ip"
+];
+
+/**
+ * Express router exposing the audit log to admins
+ *
+ * GET /audit?resource=posts&user=<id>&since=<timestamp>&until=<timestamp>&page=1&pageSize=50
+ *
+ * @export
+ */
+module.exports = function(pocket) {
+    const router = express.Router();
+
+    router.use((req, res, next) => {
+        const user = _.get(req, "ctx.user");
+        if (!user || !user.isAdmin()) {
+            return FORBIDDEN.send(res);
+        }
+        next();
+    });
+
+    router.get("/", async (req, res) => {
+        try {
+            const { page, pageSize, since, until, filter } = req.query;
+            const schema = pocket.audit.resource.schema;
+
+            const query = _.extend(
+                parseFilter(filter, schema),
+                parseFilter(_.pick(req.query, FILTERS), schema)
+            );
+
+            if (!_.isNil(since) || !_.isNil(until)) {
+                const range = parseFilter({ _createdAt: _.omitBy({ $gte: since, $lte: until }, _.isNil) });
+                _.extend(query, range);
+            }
+
+            const options = {};
+            if (isNumeric(pageSize)) {
+                options.pageSize = Number(pageSize);
+                if (isNumeric(page)) {
+                    options.page = Number(page);
+                }
+            }
+
+            const entries = await pocket.audit.find(query, options);
+
+            const meta = entries.meta;
+            if (meta) {
+                res.set('X-Total-Pages', meta.totalPages);
+                res.set('X-Per-Page', meta.pageSize);
+                res.set('X-Page', meta.page);
+            }
+            res.json(entries);
+        } catch (e) {
+            Error.fromException(e).send(res);
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,210 @@
+const _                  = require("lodash");
+const crypto             = require("../utils/crypto");
+const Schema             = require("../schema");
+const { User }           = require("../users");
+const {
+    Error,
+    INVALID_USER_GROUP,
+    RESOURCE_NOT_FOUND }   = require("../utils/errors");
+
+const ACTIONS = [ "read", "create", "update", "remove" ];
+
+/**
+ * Principal of a request authenticated with an API key
+ *
+ * It behaves like a user member of the groups of the key,
+ * restricted to the resources and actions the key is scoped to
+ *
+ * @class ApiKeyUser
+ * @extends {User}
+ */
+class ApiKeyUser extends User {
+
+    constructor(userManager, config, key) {
+        super(userManager, config);
+        this.id         = key._id;
+        this.username   = `apikey:${key.name}`;
+        this.groups     = key.groups || [];
+        this.resources  = key.resources || [];
+        this.actions    = key.actions || [];
+    }
+
+    toPlainObject() {
+        return _.extend(super.toPlainObject(), { apiKey: true });
+    }
+
+    jwt() {
+        throw new Error(400, "API keys cannot be exchanged for a session token");
+    }
+
+    isScoped() {
+        return !_.isEmpty(this.resources) || !_.isEmpty(this.actions);
+    }
+
+    /**
+     * Scoped keys never have admin rights, even if they belong to an admin group
+     *
+     * @returns {boolean}
+     */
+    isAdmin() {
+        return super.isAdmin() && !this.isScoped();
+    }
+
+    inScope(action, resourceName) {
+        return (_.isEmpty(this.resources) || _.includes(this.resources, resourceName)) &&
+            (_.isEmpty(this.actions) || _.includes(this.actions, action));
+    }
+
+    async isAllowed(action, resourceName) {
+        if (!this.inScope(action, resourceName)) {
+            return false;
+        }
+        if (super.isAdmin()) {
+            return true;
+        }
+        return super.isAllowed(action, resourceName);
+    }
+}
+
+/**
+ * Generates and verifies API keys used for server to server access
+ *
+ * Keys are formatted as <keyId>.<secret>, only a hash of the secret is stored in the private _apikeys resource
+ *
+ * @class ApiKeyManager
+ */
+class ApiKeyManager {
+
+    constructor(pocket) {
+        this.pocket     = pocket;
+        this.config     = pocket.config();
+        this.resource   = pocket.resource("_apikeys", new Schema({
+            fields: {
+                name: {
+                    type: "string",
+                    required: true
+                },
+                keyId: {
+                    type: "string",
+                    index: {
+                        unique: true
+                    }
+                },
+                groups: {
+                    type: "array",
+                    items: {
+                        type: "string"
+                    }
+                },
+                // Resources the key is restricted to, all of them if empty
+                resources: {
+                    type: "array",
+                    items: {
+                        type: "string"
+                    }
+                },
+                // Actions the key is restricted to, all of them if empty
+                actions: {
+                    type: "multiselect",
+                    options: ACTIONS
+                },
+                expiresAt: "timestamp",
+                revoked: "checkbox"
+            }
+        })
+        .after('read', async ({ records, options = {} }) => {
+            if (!options.rawObject) {
+                _.each(records, r => {
+                    delete r.hash;
+                });
+            }
+        })
+        .before('save', async ({ record }) => {
+            const allGroups = _.map(await pocket.users.loadGroups(), 'name');
+            for (let g of record.groups || []) {
+                if (!_.includes(allGroups, g)) {
+                    throw INVALID_USER_GROUP;
+                }
+            }
+        }));
+    }
+
+    /**
+     * Creates a new API key
+     *
+     * The plain key is only returned once, and cannot be recovered afterwards
+     *
+     * @param {object} params
+     * @param {string} params.name
+     * @param {string[]} [params.groups=['users']]
+     * @param {string[]} [params.resources] restricts the key to those resources
+     * @param {string[]} [params.actions] restricts the key to those actions
+     * @param {number} [params.expiresAt] expiry timestamp
+     * @param {object} [opts={}]
+     * @param {string} [opts.userId] the user creating the key
+     * @returns {Promise<{ key: string, apiKey: object }>}
+     * @memberof ApiKeyManager
+     */
+    async generate(params, opts = {}) {
+        const keyId     = crypto.randomToken(8);
+        const secret    = crypto.randomToken(24);
+
+        const payload = _.extend(
+            { groups: [ this.pocket.users.Groups.USERS ] },
+            _.pick(params, [ "name", "groups", "resources", "actions", "expiresAt" ]),
+            { keyId, revoked: false }
+        );
+
+        const data = await this.resource.validate(payload);
+        data.hash = crypto.sha256(secret);
+
+        const record = await this.resource.create(data, _.extend({}, opts, { skipValidation: true }));
+
+        return {
+            key: `${keyId}.${secret}`,
+            apiKey: _.omit(record, "hash")
+        };
+    }
+
+    /**
+     * Returns the principal associated with a key, or null if the key is invalid, expired or revoked
+     *
+     * @param {string} key
+     * @returns {Promise<ApiKeyUser>}
+     * @memberof ApiKeyManager
+     */
+    async authenticate(key) {
+        const [ keyId, secret ] = _.split(key, ".", 2);
+        if (!keyId || !secret) {
+            return null;
+        }
+
+        const record = await this.resource.findOne({ keyId }, { rawObject: true });
+        if (!record || !record.hash || !crypto.safeEqual(record.hash, crypto.sha256(secret))) {
+            return null;
+        }
+
+        if (record.revoked || (record.expiresAt && record.expiresAt <= Date.now())) {
+            return null;
+        }
+
+        return new ApiKeyUser(this.pocket.users, this.config, record);
+    }
+
+    /**
+     * Revokes a key, it can no longer be used to authenticate
+     *
+     * @param {string} id
+     * @returns {Promise<object>}
+     * @memberof ApiKeyManager
+     */
+    async revoke(id) {
+        const record = await this.resource.get(id);
+        if (!record) {
+            throw RESOURCE_NOT_FOUND;
+        }
+        return this.resource.mergeOne(id, { revoked: true });
+    }
+}
+
+module.exports = { ApiKeyManager, ApiKeyUser };
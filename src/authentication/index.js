@@ -1,12 +1,20 @@
 const { Router }       = require("express");
 const bodyParser       = require("body-parser");
 const _                = require("lodash");
+const querystring      = require("querystring");
 const session          = require("./session");
+const crypto           = require("../utils/crypto");
 const {
     Error,
+    FORBIDDEN,
     INVALID_USERNAME_PW,
+    RESOURCE_NOT_FOUND,
+    INVALID_AUTHORIZATION,
     UNAUTHORIZED }   = require("../utils/errors");
 
+// Binds the logins through external providers to the browser which started them
+const STATE_COOKIE = "pocket_provider_state";
+
 const DEFAULT_PERMISSIONS = {
     ALL_ACCESS: { "*" : [ 'read', 'create', 'update', 'remove' ] },
     READ_ONLY: { "*" : [ 'read' ] },
@@ -25,6 +33,18 @@ module.exports = function (pocket) {
     let userManager     = pocket.users;
     let userGroups      = userManager.Groups;
     let authenticate    = session(pocket);
+    let apiKeys         = pocket.apikeys;
+    let sessions        = pocket.sessions;
+    let throttle        = pocket.throttle;
+    let providers       = pocket.providers;
+
+    const adminOnly = (req, res, next) => {
+        const user = _.get(req, "ctx.user");
+        if (!user || !user.isAdmin()) {
+            return FORBIDDEN.send(res);
+        }
+        next();
+    };
 
     router.use(bodyParser.json());
 
@@ -45,47 +65,91 @@ module.exports = function (pocket) {
             }
 
             let user = await userManager.create(req.body.username, req.body.password, groups, DEFAULT_PERMISSIONS.NO_PERMISSIONS);
-            res.json({
+            const tokens = await sessions.open(user, { request: req });
+            res.json(_.extend({
                 authenticated: true,
-                token: user.jwt(),
                 user: user.toPlainObject()
-            });
+            }, tokens));
+
+        } catch (e) {
+            Error.fromException(e).send(res);
+        }
+    })
 
+    router.post("/logout", authenticate, async (req, res) => {
+        try {
+            const sessionId = _.get(req, "ctx.user.sessionId");
+            if (sessionId) {
+                await sessions.revoke(sessionId);
+            }
+            res.json({
+                token: null
+            });
         } catch (e) {
             Error.fromException(e).send(res);
         }
     })
 
-    router.post("/logout", (req, res) => {
-        res.json({
-            token: null
-        })
+    router.post("/logout/all", authenticate, async (req, res) => {
+        try {
+            const user = _.get(req, "ctx.user");
+            if (!user || !user.sessionId) {
+                throw UNAUTHORIZED;
+            }
+            await sessions.revokeAll(user.id);
+            res.json({
+                token: null
+            });
+        } catch (e) {
+            Error.fromException(e).send(res);
+        }
     })
 
     router.post("/login", async (req, res) => {
         try {
-            const user = await userManager.auth(req.body.username, req.body.password);
-            res.json({
+            const { username, password } = req.body;
+            const ip = req.ip || _.get(req, "connection.remoteAddress");
+            if (!username || !password) {
+                throw INVALID_USERNAME_PW;
+            }
+
+            await throttle.check(username, ip);
+
+            let user = null;
+            try {
+                user = await userManager.auth(username, password);
+            } catch (e) {
+                if (e === INVALID_USERNAME_PW) {
+                    await throttle.fail(username, ip);
+                }
+                throw e;
+            }
+            await throttle.succeed(username);
+
+            const tokens = await sessions.open(user, { request: req });
+            res.json(_.extend({
                 authenticated: true,
-                token: user.jwt(),
                 user: user.toPlainObject()
-            });
+            }, tokens));
         } catch (e) {
             Error.fromException(e).send(res);
         }
     });
 
-    // router.get("/refresh", authenticate, (req, res) => {
-    //     const user = _.get(req, 'ctx.user');
-    //     if (!user) {
-    //         return UNAUTHORIZED.send(res);
-    //     }
-    //     return res.json({
-    //         authenticated: true,
-    //         token: user.jwt(),
-    //         user: user.toPlainObject()
-    //     });
-    // })
+    router.post("/refresh", async (req, res) => {
+        try {
+            const { user, token, refreshToken, expiresIn } = await sessions.refresh(req.body.refreshToken);
+            res.json({
+                authenticated: true,
+                token,
+                refreshToken,
+                expiresIn,
+                user: user.toPlainObject()
+            });
+        } catch (e) {
+            Error.fromException(e).send(res);
+        }
+    })
 
     router.get("/status", authenticate, (req, res) => {
         const { user } = req.ctx;
@@ -95,5 +159,254 @@ module.exports = function (pocket) {
         });
     })
 
+    // ---- External providers
+
+    router.get("/providers", (req, res) => {
+        res.json(providers.list());
+    });
+
+    const stateCookie = (req) => ({
+        httpOnly: true,
+        secure: req.secure,
+        // Sent along with the redirection from the provider, which comes from another site
+        sameSite: "lax",
+        path: `${req.baseUrl}/providers/${req.params.name}/callback`
+    });
+
+    const readStateCookie = (req) => {
+        const cookie = _.find(_.split(req.headers.cookie, ";"), c => _.startsWith(_.trim(c), `${STATE_COOKIE}=`));
+        return cookie ? decodeURIComponent(_.trim(cookie).slice(STATE_COOKIE.length + 1)) : null;
+    };
+
+    const startLogin = async (req, res, opts) => {
+        const { url, state, expiresAt } = await providers.authorize(req.params.name, opts);
+        res.cookie(STATE_COOKIE, crypto.sha256(state), _.extend(stateCookie(req), { expires: new Date(expiresAt) }));
+        return url;
+    };
+
+    router.get("/providers/:name/authorize", async (req, res) => {
+        try {
+            res.redirect(await startLogin(req, res));
+        } catch (e) {
+            Error.fromException(e).send(res);
+        }
+    });
+
+    router.get("/providers/:name/callback", async (req, res) => {
+        // Browsers are sent back to the application, the tokens are passed in the fragment of the url which never reaches servers
+        const { loginRedirect } = _.get(providers.providers, [ req.params.name, "options" ], {});
+        try {
+            // The login must be completed by the browser which started it
+            const expected = readStateCookie(req);
+            if (!expected || !crypto.safeEqual(expected, crypto.sha256(String(req.query.state)))) {
+                throw INVALID_AUTHORIZATION;
+            }
+            res.clearCookie(STATE_COOKIE, stateCookie(req));
+
+            const user = await providers.callback(req.params.name, req.query);
+            const tokens = await sessions.open(user, { request: req });
+            if (loginRedirect) {
+                return res.redirect(`${loginRedirect}#${querystring.stringify(tokens)}`);
+            }
+            res.json(_.extend({
+                authenticated: true,
+                user: user.toPlainObject()
+            }, tokens));
+        } catch (e) {
+            const err = Error.fromException(e);
+            if (loginRedirect) {
+                return res.redirect(`${loginRedirect}#${querystring.stringify({ error: err.message })}`);
+            }
+            err.send(res);
+        }
+    });
+
+    router.post("/providers/:name/link", authenticate, async (req, res) => {
+        try {
+            const user = _.get(req, "ctx.user");
+            if (!user || !user.sessionId) {
+                throw UNAUTHORIZED;
+            }
+            const url = await startLogin(req, res, { userId: user.id });
+            res.json({ url });
+        } catch (e) {
+            Error.fromException(e).send(res);
+        }
+    });
+
+    router.delete("/providers/:name", authenticate, async (req, res) => {
+        try {
+            const user = _.get(req, "ctx.user");
+            if (!user || !user.sessionId) {
+                throw UNAUTHORIZED;
+            }
+            providers.get(req.params.name);
+            await providers.unlink(user.id, req.params.name);
+            res.sendStatus(200);
+        } catch (e) {
+            Error.fromException(e).send(res);
+        }
+    });
+
+    // ---- Passwords
+
+    router.post("/password", authenticate, async (req, res) => {
+        try {
+            const user = _.get(req, "ctx.user");
+            if (!user || !user.sessionId) {
+                throw UNAUTHORIZED;
+            }
+            await userManager.changePassword(user, req.body.currentPassword, req.body.newPassword);
+            res.sendStatus(200);
+        } catch (e) {
+            Error.fromException(e).send(res);
+        }
+    });
+
+    router.post("/password/forgot", async (req, res) => {
+        try {
+            // The response doesn't reveal whether the user exists
+            await userManager.requestPasswordReset(req.body.username);
+            res.sendStatus(200);
+        } catch (e) {
+            Error.fromException(e).send(res);
+        }
+    });
+
+    router.post("/password/reset", async (req, res) => {
+        try {
+            await userManager.resetPassword(req.body.token, req.body.password);
+            res.sendStatus(200);
+        } catch (e) {
+            Error.fromException(e).send(res);
+        }
+    });
+
+    // ---- Groups
+
+    router.get("/groups", authenticate, adminOnly, async (req, res) => {
+        try {
+            res.json(await userManager.loadGroups());
+        } catch (e) {
+            Error.fromException(e).send(res);
+        }
+    });
+
+    router.post("/groups", authenticate, adminOnly, async (req, res) => {
+        try {
+            res.json(await userManager.createGroup(req.body.name, req.body.permissions));
+        } catch (e) {
+            Error.fromException(e).send(res);
+        }
+    });
+
+    router.get("/groups/:name", authenticate, adminOnly, async (req, res) => {
+        try {
+            res.json(await userManager.getGroup(req.params.name));
+        } catch (e) {
+            Error.fromException(e).send(res);
+        }
+    });
+
+    router.put("/groups/:name", authenticate, adminOnly, async (req, res) => {
+        try {
+            res.json(await userManager.renameGroup(req.params.name, req.body.name));
+        } catch (e) {
+            Error.fromException(e).send(res);
+        }
+    });
+
+    router.delete("/groups/:name", authenticate, adminOnly, async (req, res) => {
+        try {
+            await userManager.removeGroup(req.params.name);
+            res.sendStatus(200);
+        } catch (e) {
+            Error.fromException(e).send(res);
+        }
+    });
+
+    router.post("/groups/:name/grant", authenticate, adminOnly, async (req, res) => {
+        try {
+            res.json(await userManager.grant(req.params.name, req.body.resource, req.body.actions));
+        } catch (e) {
+            Error.fromException(e).send(res);
+        }
+    });
+
+    router.post("/groups/:name/revoke", authenticate, adminOnly, async (req, res) => {
+        try {
+            res.json(await userManager.revoke(req.params.name, req.body.resource, req.body.actions));
+        } catch (e) {
+            Error.fromException(e).send(res);
+        }
+    });
+
+    router.post("/groups/:name/users", authenticate, adminOnly, async (req, res) => {
+        try {
+            res.json(await userManager.addToGroup(req.params.name, req.body.userId));
+        } catch (e) {
+            Error.fromException(e).send(res);
+        }
+    });
+
+    router.delete("/groups/:name/users/:userId", authenticate, adminOnly, async (req, res) => {
+        try {
+            res.json(await userManager.removeFromGroup(req.params.name, req.params.userId));
+        } catch (e) {
+            Error.fromException(e).send(res);
+        }
+    });
+
+    // ---- Lockouts
+
+    router.post("/:id/unlock", authenticate, adminOnly, async (req, res) => {
+        try {
+            const record = await userManager.resource.get(req.params.id);
+            if (!record) {
+                throw RESOURCE_NOT_FOUND;
+            }
+            await throttle.unlock(record.username);
+            res.sendStatus(200);
+        } catch (e) {
+            Error.fromException(e).send(res);
+        }
+    });
+
+    // ---- API Keys
+
+    router.get("/apikeys", authenticate, adminOnly, async (req, res) => {
+        try {
+            res.json(await apiKeys.resource.find({}, { sort: "-_createdAt" }));
+        } catch (e) {
+            Error.fromException(e).send(res);
+        }
+    });
+
+    router.post("/apikeys", authenticate, adminOnly, async (req, res) => {
+        try {
+            const result = await apiKeys.generate(req.body || {}, { userId: req.ctx.user.id });
+            res.json(result);
+        } catch (e) {
+            Error.fromException(e).send(res);
+        }
+    });
+
+    router.post("/apikeys/:id/revoke", authenticate, adminOnly, async (req, res) => {
+        try {
+            res.json(await apiKeys.revoke(req.params.id));
+        } catch (e) {
+            Error.fromException(e).send(res);
+        }
+    });
+
+    router.delete("/apikeys/:id", authenticate, adminOnly, async (req, res) => {
+        try {
+            await apiKeys.resource.removeOne(req.params.id);
+            res.sendStatus(200);
+        } catch (e) {
+            Error.fromException(e).send(res);
+        }
+    });
+
     return router;
 };
\ No newline at end of file
@@ -0,0 +1,54 @@
+/**
+ * External authentication provider
+ *
+ * Providers redirect users to an external service, and resolve the profile of the user once they are redirected back
+ *
+ * @class AuthProvider
+ */
+class AuthProvider {
+
+    /**
+     * @param {string} name the name of the provider, used in the urls (/users/providers/<name>)
+     * @param {object} [options={}]
+     * @param {string[]} [options.groups=['users']] the groups of the users provisioned by the provider
+     * @param {boolean} [options.autoProvision=true] creates the users logging in for the first time
+     */
+    constructor(name, options = {}) {
+        this.name       = name;
+        this.options    = options;
+    }
+
+    get type() {
+        return "custom";
+    }
+
+    /**
+     * Returns the url the user should be redirected to
+     *
+     * @param {object} params
+     * @param {string} params.state
+     * @param {string} params.nonce
+     * @param {string} params.codeChallenge the PKCE challenge (S256)
+     * @returns {Promise<string>}
+     * @memberof AuthProvider
+     */
+    async authorizationUrl(params) {
+        throw "Not Implemented";
+    }
+
+    /**
+     * Resolves the profile of the user redirected back from the provider
+     *
+     * @param {object} params
+     * @param {string} params.code the authorization code
+     * @param {string} params.codeVerifier the PKCE verifier
+     * @param {string} params.nonce
+     * @returns {Promise<{ id: string, username: string, email: string }>}
+     * @memberof AuthProvider
+     */
+    async authenticate(params) {
+        throw "Not Implemented";
+    }
+}
+
+module.exports = AuthProvider;
@@ -0,0 +1,326 @@
+const _                  = require("lodash");
+const nodeCrypto         = require("crypto");
+const crypto             = require("../../utils/crypto");
+const Schema             = require("../../schema");
+const AuthProvider       = require("./base");
+const {
+    OAuth2Provider,
+    OIDCProvider }       = require("./oauth");
+const {
+    Error,
+    INVALID_AUTHORIZATION,
+    UNKNOWN_PROVIDER }   = require("../../utils/errors");
+
+const PROVIDER_TYPES = {
+    'oauth2': OAuth2Provider,
+    'oidc': OIDCProvider
+};
+
+// Number of seconds a user has to complete the login on the provider's side
+const AUTHORIZATION_TIMEOUT = 600;
+
+/**
+ * Handles the login of users through external providers (OAuth2, OpenID Connect, ...)
+ *
+ * Pending logins are kept in the private _authorizations resource, their state is formatted as <authorizationId>.<secret>.
+ * External accounts are linked to users in the private _identities resource
+ *
+ * @class ProviderManager
+ */
+class ProviderManager {
+
+    constructor(pocket) {
+        this.pocket     = pocket;
+        this.providers  = {};
+
+        this.identities = pocket.resource("_identities", new Schema({
+            fields: {
+                user: {
+                    type: "string",
+                    required: true,
+                    index: true
+                },
+                provider: {
+                    type: "string",
+                    required: true
+                },
+                // The id of the user on the provider's side
+                subject: {
+                    type: "string",
+                    required: true,
+                    index: true
+                },
+                email: "string"
+            }
+        }));
+
+        this.authorizations = pocket.resource("_authorizations", new Schema({
+            fields: {
+                provider: {
+                    type: "string",
+                    required: true
+                },
+                // Set when an existing user is linking an external account
+                user: "string",
+                expiresAt: {
+                    type: "timestamp",
+                    index: true
+                }
+            }
+        })
+        .after('read', async ({ records, options = {} }) => {
+            if (!options.rawObject) {
+                _.each(records, r => {
+                    delete r.hash;
+                    delete r.codeVerifier;
+                    delete r.nonce;
+                });
+            }
+        }));
+
+        _.each(pocket.config().providers, (options, name) => this.register(name, options));
+    }
+
+    /**
+     * Registers a provider
+     *
+     * @param {string|AuthProvider} name the name of the provider, or a provider instance
+     * @param {object} [options] the options of the provider, options.type is either 'oidc' (default) or 'oauth2'
+     * @returns {AuthProvider}
+     * @memberof ProviderManager
+     */
+    register(name, options = {}) {
+        let provider = name;
+        if (!(provider instanceof AuthProvider)) {
+            const Provider = PROVIDER_TYPES[options.type || 'oidc'];
+            if (!Provider) {
+                throw `Unknown authentication provider type ${options.type}`;
+            }
+            provider = new Provider(name, options);
+        }
+        this.providers[provider.name] = provider;
+        return provider;
+    }
+
+    /**
+     * Returns a registered provider
+     *
+     * @param {string} name
+     * @returns {AuthProvider}
+     * @memberof ProviderManager
+     */
+    get(name) {
+        const provider = this.providers[name];
+        if (!provider) {
+            throw UNKNOWN_PROVIDER;
+        }
+        return provider;
+    }
+
+    list() {
+        return _.map(this.providers, ({ name, type }) => ({ name, type }));
+    }
+
+    /**
+     * Starts a login with a provider
+     *
+     * @param {string} name
+     * @param {object} [opts={}]
+     * @param {string} [opts.userId] links the external account to this user instead of logging in
+     * @returns {Promise<object>} the url of the provider the user should be redirected to, the state of the login and its expiry -> { url, state, expiresAt }
+     * @memberof ProviderManager
+     */
+    async authorize(name, opts = {}) {
+        const provider      = this.get(name);
+        const secret        = crypto.randomToken(32);
+        const codeVerifier  = crypto.randomToken(32);
+        const nonce         = crypto.randomToken(16);
+
+        // Logins can be started without credentials, the expired ones are cleared so that they don't pile up
+        await this.prune();
+
+        const authorization = await this.authorizations.create({
+            provider:   name,
+            user:       opts.userId || null,
+            hash:       crypto.sha256(secret),
+            codeVerifier,
+            nonce,
+            expiresAt:  Date.now() + AUTHORIZATION_TIMEOUT * 1000
+        }, { skipValidation: true });
+
+        const state = `${authorization._id}.${secret}`;
+        const url   = await provider.authorizationUrl({
+            state,
+            nonce,
+            codeChallenge: ProviderManager.codeChallenge(codeVerifier)
+        });
+        return { url, state, expiresAt: authorization.expiresAt };
+    }
+
+    /**
+     * Completes a login once the user is redirected back from the provider
+     *
+     * Users logging in for the first time are provisioned, unless the autoProvision option of the provider is disabled
+     *
+     * @param {string} name
+     * @param {object} params
+     * @param {string} params.code
+     * @param {string} params.state
+     * @returns {Promise<User>}
+     * @memberof ProviderManager
+     */
+    async callback(name, { code, state }) {
+        const provider = this.get(name);
+        const [ authorizationId, secret ] = _.split(state, ".", 2);
+        if (!code || !authorizationId || !secret) {
+            throw INVALID_AUTHORIZATION;
+        }
+
+        const authorization = await this.authorizations.get(authorizationId, { rawObject: true });
+        if (!authorization || authorization.provider !== name || !crypto.safeEqual(authorization.hash, crypto.sha256(secret))) {
+            throw INVALID_AUTHORIZATION;
+        }
+
+        // An authorization can only be used once
+        await this.authorizations.removeOne(authorizationId);
+        if (authorization.expiresAt <= Date.now()) {
+            throw INVALID_AUTHORIZATION;
+        }
+
+        const profile = await provider.authenticate({
+            code,
+            codeVerifier: authorization.codeVerifier,
+            nonce: authorization.nonce
+        });
+        if (!profile || _.isNil(profile.id)) {
+            throw new Error(401, `No user received from the ${name} provider`);
+        }
+
+        const users     = this.pocket.users;
+        const identity  = await this.identities.findOne({ provider: name, subject: String(profile.id) });
+
+        if (authorization.user) {
+            if (identity && identity.user !== authorization.user) {
+                throw new Error(409, "This account is already linked to another user");
+            }
+            const record = await users.resource.get(authorization.user);
+            if (!record) {
+                throw INVALID_AUTHORIZATION;
+            }
+            if (!identity) {
+                await this.link(record._id, name, profile);
+            }
+            return users.fromRecord(record);
+        }
+
+        if (identity) {
+            const record = await users.resource.get(identity.user);
+            if (record) {
+                return users.fromRecord(record);
+            }
+            // The user was deleted
+            await this.identities.removeOne(identity._id);
+        }
+
+        if (provider.options.autoProvision === false) {
+            throw new Error(403, "No user is linked to this account");
+        }
+
+        const user = await this.provision(provider, profile);
+        await this.link(user.id, name, profile);
+        return user;
+    }
+
+    /**
+     * Creates the user of an external account
+     *
+     * @param {AuthProvider} provider
+     * @param {object} profile
+     * @returns {Promise<User>}
+     * @memberof ProviderManager
+     */
+    async provision(provider, profile) {
+        const users     = this.pocket.users;
+        const fallback  = `${provider.name}:${profile.id}`;
+
+        let username = profile.username || fallback;
+        if (await users.resource.findOne({ username })) {
+            username = fallback;
+        }
+
+        const record = await users.resource.create({
+            username,
+            provider:   provider.name,
+            groups:     provider.options.groups || [ users.Groups.USERS ]
+        });
+        return users.fromRecord(record);
+    }
+
+    /**
+     * Links an external account to a user
+     *
+     * @param {string} userId
+     * @param {string} name the name of the provider
+     * @param {object} profile
+     * @returns {Promise<object>} the identity
+     * @memberof ProviderManager
+     */
+    async link(userId, name, profile) {
+        return this.identities.create({
+            user:       userId,
+            provider:   name,
+            subject:    String(profile.id),
+            email:      profile.email || undefined
+        });
+    }
+
+    /**
+     * Removes the links between a user and the accounts of a provider
+     *
+     * @param {string} userId
+     * @param {string} name the name of the provider
+     * @returns {Promise}
+     * @memberof ProviderManager
+     */
+    async unlink(userId, name) {
+        return this.identities.remove({ user: userId, provider: name });
+    }
+
+    /**
+     * Deletes the logins which were never completed
+     *
+     * @returns {Promise<number>} the number of deleted authorizations
+     * @memberof ProviderManager
+     */
+    async prune() {
+        const stale = await this.authorizations.find({ expiresAt: { $lte: Date.now() } });
+        if (stale.length > 0) {
+            await this.authorizations.remove({ _id: { $in: _.map(stale, '_id') } });
+        }
+        return stale.length;
+    }
+
+    /**
+     * Computes the PKCE challenge of a verifier (S256)
+     *
+     * @static
+     * @param {string} codeVerifier
+     * @returns {string}
+     * @memberof ProviderManager
+     */
+    static codeChallenge(codeVerifier) {
+        return nodeCrypto.createHash("sha256")
+            .update(codeVerifier)
+            .digest("base64")
+            .replace(/\+/g, "-")
+            .replace(/\//g, "_")
+            .replace(/=+$/, "");
+    }
+}
+
+module.exports = {
+    ProviderManager,
+    AuthProvider,
+    OAuth2Provider,
+    OIDCProvider
+};
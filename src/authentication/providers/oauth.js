@@ -0,0 +1,253 @@
+const _                  = require("lodash");
+const jwt                = require("jsonwebtoken");
+const { URL }            = require("url");
+const querystring        = require("querystring");
+const AuthProvider       = require("./base");
+const { request }        = require("../../utils/http");
+const { Error }          = require("../../utils/errors");
+
+/**
+ * Generic OAuth2 provider using the authorization code flow with PKCE
+ *
+ * @class OAuth2Provider
+ * @extends {AuthProvider}
+ */
+class OAuth2Provider extends AuthProvider {
+
+    /**
+     * @param {string} name
+     * @param {object} options
+     * @param {string} options.clientId
+     * @param {string} [options.clientSecret]
+     * @param {string} options.redirectUri the callback url of the provider, i.e <pocket>/users/providers/<name>/callback
+     * @param {string} options.authorizationEndpoint
+     * @param {string} options.tokenEndpoint
+     * @param {string} [options.userinfoEndpoint]
+     * @param {string} [options.scope]
+     * @param {function} [options.profile] maps the userinfo response to a profile ({ id, username, email })
+     */
+    constructor(name, options = {}) {
+        super(name, options);
+        if (!options.clientId || !options.redirectUri) {
+            throw `The ${name} provider requires a clientId and a redirectUri`;
+        }
+    }
+
+    get type() {
+        return "oauth2";
+    }
+
+    /**
+     * Returns the endpoints of the provider
+     *
+     * @returns {Promise<{ authorizationEndpoint: string, tokenEndpoint: string, userinfoEndpoint: string }>}
+     * @memberof OAuth2Provider
+     */
+    async endpoints() {
+        return _.pick(this.options, [ 'authorizationEndpoint', 'tokenEndpoint', 'userinfoEndpoint' ]);
+    }
+
+    async authorizationUrl({ state, codeChallenge }) {
+        const { authorizationEndpoint } = await this.endpoints();
+        const url = new URL(authorizationEndpoint);
+        const params = _.omitBy({
+            response_type:          "code",
+            client_id:              this.options.clientId,
+            redirect_uri:           this.options.redirectUri,
+            scope:                  this.options.scope,
+            state,
+            code_challenge:         codeChallenge,
+            code_challenge_method:  "S256"
+        }, _.isNil);
+
+        _.each(params, (value, key) => url.searchParams.set(key, value));
+        return url.toString();
+    }
+
+    /**
+     * Exchanges the authorization code for tokens
+     *
+     * @param {string} code
+     * @param {string} codeVerifier
+     * @returns {Promise<object>} the token response
+     * @memberof OAuth2Provider
+     */
+    async exchange(code, codeVerifier) {
+        const { tokenEndpoint } = await this.endpoints();
+        const body = querystring.stringify(_.omitBy({
+            grant_type:     "authorization_code",
+            code,
+            redirect_uri:   this.options.redirectUri,
+            client_id:      this.options.clientId,
+            client_secret:  this.options.clientSecret,
+            code_verifier:  codeVerifier
+        }, _.isNil));
+
+        const res = await request({
+            url: tokenEndpoint,
+            method: 'POST',
+            body,
+            headers: {
+                'content-type': 'application/x-www-form-urlencoded',
+                'accept': 'application/json'
+            }
+        });
+
+        const tokens = parseJSON(res.body);
+        if (res.status !== 200 || !tokens || !tokens.access_token) {
+            throw new Error(401, `The ${this.name} provider rejected the authorization code`);
+        }
+        return tokens;
+    }
+
+    /**
+     * Fetches the claims of the user from the userinfo endpoint
+     *
+     * @param {string} accessToken
+     * @returns {Promise<object>}
+     * @memberof OAuth2Provider
+     */
+    async userinfo(accessToken) {
+        const { userinfoEndpoint } = await this.endpoints();
+        if (!userinfoEndpoint) {
+            return {};
+        }
+
+        const res = await request({
+            url: userinfoEndpoint,
+            headers: {
+                'authorization': `Bearer ${accessToken}`,
+                'accept': 'application/json'
+            }
+        });
+
+        const claims = parseJSON(res.body);
+        if (res.status !== 200 || !claims) {
+            throw new Error(401, `Failed to load the user from the ${this.name} provider`);
+        }
+        return claims;
+    }
+
+    /**
+     * Maps the claims of the provider to a profile
+     *
+     * @param {object} claims
+     * @returns {{ id: string, username: string, email: string }}
+     * @memberof OAuth2Provider
+     */
+    profile(claims) {
+        if (_.isFunction(this.options.profile)) {
+            return this.options.profile(claims);
+        }
+        return {
+            id:         claims.sub || claims.id,
+            username:   claims.preferred_username || claims.login || claims.email,
+            email:      claims.email
+        };
+    }
+
+    async authenticate({ code, codeVerifier }) {
+        const tokens = await this.exchange(code, codeVerifier);
+        return this.profile(await this.userinfo(tokens.access_token));
+    }
+}
+
+/**
+ * OpenID Connect provider
+ *
+ * The endpoints are discovered from the issuer, and the claims of the ID token are verified.
+ * As the ID token is received directly from the token endpoint, its signature isn't checked (see OpenID Connect Core 3.1.3.7)
+ *
+ * @class OIDCProvider
+ * @extends {OAuth2Provider}
+ */
+class OIDCProvider extends OAuth2Provider {
+
+    /**
+     * @param {string} name
+     * @param {object} options see OAuth2Provider, the endpoints are optional
+     * @param {string} options.issuer
+     */
+    constructor(name, options = {}) {
+        super(name, _.extend({ scope: "openid profile email" }, options));
+        if (!options.issuer) {
+            throw `The ${name} provider requires an issuer`;
+        }
+        this.discovery = null;
+    }
+
+    get type() {
+        return "oidc";
+    }
+
+    async endpoints() {
+        if (!this.discovery) {
+            const issuer = _.trimEnd(this.options.issuer, "/");
+            const res = await request({ url: `${issuer}/.well-known/openid-configuration` });
+            const metadata = parseJSON(res.body);
+            if (res.status !== 200 || !metadata) {
+                throw new Error(502, `Failed to load the configuration of the ${this.name} provider`);
+            }
+            this.discovery = {
+                authorizationEndpoint:  metadata.authorization_endpoint,
+                tokenEndpoint:          metadata.token_endpoint,
+                userinfoEndpoint:       metadata.userinfo_endpoint
+            };
+        }
+        return _.extend({}, this.discovery, _.pickBy(await super.endpoints()));
+    }
+
+    async authorizationUrl(params) {
+        const url = new URL(await super.authorizationUrl(params));
+        url.searchParams.set("nonce", params.nonce);
+        return url.toString();
+    }
+
+    /**
+     * Verifies the claims of the ID token
+     *
+     * @param {string} idToken
+     * @param {string} nonce
+     * @returns {object} the claims
+     * @memberof OIDCProvider
+     */
+    verify(idToken, nonce) {
+        const claims    = jwt.decode(idToken);
+        const audience  = _.castArray(_.get(claims, "aud"));
+        const invalid   = !claims
+            || _.trimEnd(claims.iss, "/") !== _.trimEnd(this.options.issuer, "/")
+            || !_.includes(audience, this.options.clientId)
+            || !(claims.exp * 1000 > Date.now())
+            || claims.nonce !== nonce;
+
+        if (invalid) {
+            throw new Error(401, `Invalid ID token received from the ${this.name} provider`);
+        }
+        return claims;
+    }
+
+    async authenticate({ code, codeVerifier, nonce }) {
+        const tokens = await this.exchange(code, codeVerifier);
+        if (!tokens.id_token) {
+            throw new Error(401, `No ID token received from the ${this.name} provider`);
+        }
+
+        const claims = this.verify(tokens.id_token, nonce);
+        const userinfo = await this.userinfo(tokens.access_token);
+        if (userinfo.sub && userinfo.sub !== claims.sub) {
+            throw new Error(401, `Invalid user received from the ${this.name} provider`);
+        }
+
+        return this.profile(_.extend({}, claims, userinfo));
+    }
+}
+
+function parseJSON(str) {
+    try {
+        return JSON.parse(str);
+    } catch (e) {
+        return null;
+    }
+}
+
+module.exports = { OAuth2Provider, OIDCProvider };
@@ -1,27 +1,44 @@
 /**
  * Express middleware to setup user session based on the auth token
  *
+ * Requests can either be authenticated with a JWT (Authorization: Bearer <token>)
+ * or with an API key (X-API-Key: <key> or Authorization: ApiKey <key>)
+ *
  * @export
  */
 module.exports = function (pocket) {
-    const userManager = pocket.users;
+    const userManager   = pocket.users;
+    const apiKeys       = pocket.apikeys;
+
+    const authenticate = (req) => {
+        const auth      = req.get('authorization') || '';
+        const apiKey    = req.get('x-api-key');
+
+        if (apiKey) {
+            return apiKeys.authenticate(apiKey);
+        }
+        if (/^ApiKey .+$/i.test(auth)) {
+            return apiKeys.authenticate(auth.replace(/^ApiKey /i, ""));
+        }
+        if (/^Bearer .+$/i.test(auth)) {
+            return userManager.fromJWT(auth.replace(/^Bearer /i, ""));
+        }
+        return null;
+    };
 
     return function (req, res, next) {
-        const auth = req.get('authorization');
-        const rexp = /^Bearer .+$/i;
+        const pending = authenticate(req);
 
-        if (!auth || !rexp.test(auth)) {
+        if (!pending) {
             return next();
         }
 
-        const token = auth.replace(/^Bearer /i, "");
-
         req.ctx = req.ctx || {};
-        userManager.fromJWT(token)
+        pending
             .then(user => {
                 req.ctx.user = user;
                 next();
             })
             .catch(() => next());
     }
-}
\ No newline at end of file
+}
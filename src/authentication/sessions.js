@@ -0,0 +1,196 @@
+const _                  = require("lodash");
+const crypto             = require("../utils/crypto");
+const defaultConfig      = require("../utils/config");
+const Schema             = require("../schema");
+const {
+    SESSION_EXPIRED,
+    UNAUTHORIZED }       = require("../utils/errors");
+
+/**
+ * Keeps track of the sessions opened by users
+ *
+ * Access tokens (JWT) are short lived and reference their session,
+ * they can be renewed with a refresh token until the session expires or is revoked.
+ * Refresh tokens are formatted as <sessionId>.<secret>, only a hash of the secret is stored in the private _sessions resource
+ *
+ * @class SessionManager
+ */
+class SessionManager {
+
+    constructor(pocket) {
+        this.pocket     = pocket;
+        this.resource   = pocket.resource("_sessions", new Schema({
+            fields: {
+                user: {
+                    type: "string",
+                    required: true,
+                    index: true
+                },
+                expiresAt: "timestamp",
+                lastUsedAt: "timestamp",
+                revoked: "checkbox",
+                userAgent: "string",
+                ip: "string"
+            }
+        })
+        .after('read', async ({ records, options = {} }) => {
+            if (!options.rawObject) {
+                _.each(records, r => {
+                    delete r.hash;
+                });
+            }
+        }));
+    }
+
+    /**
+     * Opens a new session for a user
+     *
+     * @param {User} user
+     * @param {object} [opts={}]
+     * @param {Request} [opts.request] the request used to log in
+     * @returns {Promise<{ token: string, refreshToken: string, expiresIn: number }>}
+     * @memberof SessionManager
+     */
+    async open(user, opts = {}) {
+        const { request } = opts;
+        const { refreshExpiresIn } = this.settings();
+        const secret = crypto.randomToken(32);
+        const now = Date.now();
+
+        const session = await this.resource.create({
+            user:       user.id,
+            hash:       crypto.sha256(secret),
+            expiresAt:  now + refreshExpiresIn * 1000,
+            lastUsedAt: now,
+            revoked:    false,
+            userAgent:  request ? request.get('user-agent') : undefined,
+            ip:         request ? request.ip : undefined
+        }, { skipValidation: true });
+
+        return this.tokens(user, session, secret);
+    }
+
+    /**
+     * Exchanges a refresh token for a new access token
+     *
+     * The refresh token is rotated, the previous one can no longer be used.
+     * Reusing an old refresh token revokes the session, as it was most likely stolen
+     *
+     * @param {string} refreshToken
+     * @returns {Promise<{ user: User, token: string, refreshToken: string, expiresIn: number }>}
+     * @memberof SessionManager
+     */
+    async refresh(refreshToken) {
+        const [ sessionId, secret ] = _.split(refreshToken, ".", 2);
+        if (!sessionId || !secret) {
+            throw UNAUTHORIZED;
+        }
+
+        const session = await this.resource.get(sessionId, { rawObject: true });
+        if (!session || session.revoked) {
+            throw UNAUTHORIZED;
+        }
+        if (session.expiresAt <= Date.now()) {
+            throw SESSION_EXPIRED;
+        }
+        if (!crypto.safeEqual(session.hash, crypto.sha256(secret))) {
+            await this.revoke(sessionId);
+            throw UNAUTHORIZED;
+        }
+
+        const record = await this.pocket.users.resource.get(session.user, { rawObject: true });
+        if (!record) {
+            throw UNAUTHORIZED;
+        }
+
+        const user = this.pocket.users.fromRecord(record);
+        const nextSecret = crypto.randomToken(32);
+
+        await this.resource.mergeOne(sessionId, {
+            hash:       crypto.sha256(nextSecret),
+            lastUsedAt: Date.now()
+        }, { skipValidation: true });
+
+        return _.extend({ user }, this.tokens(user, session, nextSecret));
+    }
+
+    settings() {
+        return _.extend({}, defaultConfig.session, this.pocket.config().session);
+    }
+
+    tokens(user, session, secret) {
+        return {
+            token:          user.jwt(session._id),
+            refreshToken:   `${session._id}.${secret}`,
+            expiresIn:      this.settings().expiresIn
+        };
+    }
+
+    /**
+     * Checks whether a session can still be used
+     *
+     * @param {string} sessionId
+     * @param {string} userId the owner of the session
+     * @returns {Promise<boolean>}
+     * @memberof SessionManager
+     */
+    async isActive(sessionId, userId) {
+        if (!sessionId) {
+            return false;
+        }
+        const session = await this.resource.get(sessionId);
+        return !!session
+            && String(session.user) === String(userId)
+            && !session.revoked
+            && session.expiresAt > Date.now();
+    }
+
+    /**
+     * Revokes a single session
+     *
+     * @param {string} sessionId
+     * @returns {Promise}
+     * @memberof SessionManager
+     */
+    async revoke(sessionId) {
+        return this.resource.update({ _id: sessionId }, { $set: { revoked: true } });
+    }
+
+    /**
+     * Revokes all the sessions of a user, logging them out everywhere
+     *
+     * @param {string} userId
+     * @param {object} [opts={}]
+     * @param {string} [opts.except] a session to keep active (e.g the current one)
+     * @returns {Promise}
+     * @memberof SessionManager
+     */
+    async revokeAll(userId, opts = {}) {
+        const query = { user: userId, revoked: false };
+        if (opts.except) {
+            query._id = { $ne: opts.except };
+        }
+        return this.resource.update(query, { $set: { revoked: true } });
+    }
+
+    /**
+     * Deletes the sessions which have expired or were revoked
+     *
+     * @returns {Promise<number>} the number of deleted sessions
+     * @memberof SessionManager
+     */
+    async prune() {
+        const stale = await this.resource.find({
+            $or: [
+                { revoked: true },
+                { expiresAt: { $lte: Date.now() } }
+            ]
+        });
+        if (stale.length > 0) {
+            await this.resource.remove({ _id: { $in: _.map(stale, '_id') } });
+        }
+        return stale.length;
+    }
+}
+
+module.exports = { SessionManager };
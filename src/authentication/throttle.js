@@ -0,0 +1,239 @@
+const _                  = require("lodash");
+const Q                  = require("q");
+const config             = require("../utils/config");
+const Schema             = require("../schema");
+const { ACCOUNT_LOCKED } = require("../utils/errors");
+
+/**
+ * Protects the login against brute force attacks
+ *
+ * Failed attempts are counted per username and per IP address in the private _attempts resource.
+ * Once a few attempts have failed, responses are delayed progressively, and the username (or IP) is
+ * locked temporarily when too many attempts have failed
+ *
+ * @class LoginThrottle
+ */
+class LoginThrottle {
+
+    constructor(pocket) {
+        this.pocket     = pocket;
+        this.resource   = pocket.resource("_attempts", new Schema({
+            fields: {
+                key: {
+                    type: "string",
+                    required: true,
+                    index: {
+                        unique: true
+                    }
+                },
+                failures: "number",
+                lastFailureAt: "timestamp",
+                lockedUntil: "timestamp"
+            }
+        }));
+    }
+
+    get options() {
+        return _.extend({}, config.loginAttempts, this.pocket.config().loginAttempts);
+    }
+
+    /**
+     * Lists the counters affected by a login attempt
+     *
+     * @param {string} username
+     * @param {string} [ip]
+     * @returns {Array<{ key: string, maxAttempts: number }>}
+     * @memberof LoginThrottle
+     */
+    counters(username, ip) {
+        const { maxAttempts, maxAttemptsPerIp } = this.options;
+        const counters = [ { key: `username:${username}`, maxAttempts } ];
+        if (ip) {
+            counters.push({ key: `ip:${ip}`, maxAttempts: maxAttemptsPerIp });
+        }
+        return counters;
+    }
+
+    /**
+     * Loads the record of a counter, failures older than the configured window are forgotten
+     *
+     * @param {string} key
+     * @returns {Promise<object>}
+     * @memberof LoginThrottle
+     */
+    async load(key) {
+        const record = await this.resource.findOne({ key });
+        if (!record) {
+            return null;
+        }
+
+        const now = Date.now();
+        const forgotten = record.lastFailureAt + this.options.window * 1000 <= now;
+        if (forgotten && !(record.lockedUntil > now)) {
+            record.failures = 0;
+        }
+        return record;
+    }
+
+    /**
+     * Delay in milliseconds applied before processing an attempt, doubled after each failure
+     *
+     * @param {number} failures
+     * @returns {number}
+     * @memberof LoginThrottle
+     */
+    delayFor(failures) {
+        const { freeAttempts, delay, maxDelay } = this.options;
+        if (failures <= freeAttempts) {
+            return 0;
+        }
+        return Math.min(delay * Math.pow(2, failures - freeAttempts - 1), maxDelay) * 1000;
+    }
+
+    /**
+     * Called before verifying the credentials, throws if the username or IP is locked
+     * and waits for the delay of the previous failures on the username.
+     * Only the username counter is delayed, as many users can share an IP address
+     *
+     * @param {string} username
+     * @param {string} [ip]
+     * @returns {Promise}
+     * @memberof LoginThrottle
+     */
+    async check(username, ip) {
+        const now = Date.now();
+        const [ userRecord, ipRecord ] = await Q.all(_.map(this.counters(username, ip), ({ key }) => this.load(key)));
+
+        if (_.some([ userRecord, ipRecord ], r => r && r.lockedUntil > now)) {
+            throw ACCOUNT_LOCKED;
+        }
+
+        const delay = this.delayFor(userRecord ? userRecord.failures : 0);
+        if (delay > 0) {
+            await Q.delay(delay);
+        }
+    }
+
+    /**
+     * Adds a failure to a counter, failures older than the configured window are forgotten first
+     *
+     * The counter is incremented by the store itself, so that the failures of parallel attempts are all counted
+     *
+     * @param {string} key
+     * @param {number} now
+     * @returns {Promise<object>} the updated record
+     * @memberof LoginThrottle
+     */
+    async increment(key, now) {
+        const { name, store } = this.resource;
+        const operations = { $inc: { failures: 1 }, $set: { lastFailureAt: now } };
+
+        await store.update(name, {
+            key,
+            lastFailureAt: { $lte: now - this.options.window * 1000 },
+            $or: [
+                { lockedUntil: null },
+                { lockedUntil: { $lte: now } }
+            ]
+        }, { $set: { failures: 0 } }, { multi: false });
+
+        const record = await store.update(name, { key }, operations, { multi: false });
+        if (record) {
+            return record;
+        }
+
+        try {
+            return await this.resource.create({ key, failures: 1, lastFailureAt: now, lockedUntil: null }, { skipValidation: true });
+        } catch (e) {
+            // The counter was created by a parallel attempt, the key is unique
+            return store.update(name, { key }, operations, { multi: false });
+        }
+    }
+
+    /**
+     * Records a failed attempt, and locks the counters which reached their maximum
+     *
+     * @param {string} username
+     * @param {string} [ip]
+     * @returns {Promise}
+     * @memberof LoginThrottle
+     */
+    async fail(username, ip) {
+        const now = Date.now();
+        await this.resource.store.ready();
+
+        for (let { key, maxAttempts } of this.counters(username, ip)) {
+            const record = await this.increment(key, now);
+            if (record.failures < maxAttempts) {
+                continue;
+            }
+
+            await this.resource.store.update(this.resource.name, { _id: record._id }, {
+                $set: {
+                    // Once unlocked, the attempts start over
+                    failures:       0,
+                    lockedUntil:    now + this.options.lockDuration * 1000
+                }
+            }, { multi: false });
+        }
+    }
+
+    /**
+     * Clears the failed attempts of a username after a successful login
+     *
+     * The IP counter is left untouched, logging into an account shouldn't reset the attempts made on other ones
+     *
+     * @param {string} username
+     * @returns {Promise}
+     * @memberof LoginThrottle
+     */
+    async succeed(username) {
+        return this.unlock(username);
+    }
+
+    /**
+     * Checks whether a username is currently locked
+     *
+     * @param {string} username
+     * @returns {Promise<boolean>}
+     * @memberof LoginThrottle
+     */
+    async isLocked(username) {
+        const record = await this.load(`username:${username}`);
+        return !!record && record.lockedUntil > Date.now();
+    }
+
+    /**
+     * Unlocks a username and clears its failed attempts
+     *
+     * @param {string} username
+     * @returns {Promise}
+     * @memberof LoginThrottle
+     */
+    async unlock(username) {
+        return this.resource.remove({ key: `username:${username}` });
+    }
+
+    /**
+     * Deletes the counters which are neither locked nor within the window of recent failures
+     *
+     * @returns {Promise<number>} the number of deleted counters
+     * @memberof LoginThrottle
+     */
+    async prune() {
+        const now = Date.now();
+        const stale = await this.resource.find({
+            lastFailureAt: { $lte: now - this.options.window * 1000 },
+            $or: [
+                { lockedUntil: null },
+                { lockedUntil: { $lte: now } }
+            ]
+        });
+        if (stale.length > 0) {
+            await this.resource.remove({ _id: { $in: _.map(stale, '_id') } });
+        }
+        return stale.length;
+    }
+}
+
+module.exports = { LoginThrottle };
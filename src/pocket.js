@@ -7,11 +7,23 @@ const defaultConfig     = require('./utils/config');
 const express           = require('express');
 const stores            = require('./stores');
 const { UserManager }   = require("./users");
+const { ApiKeyManager } = require("./authentication/apikeys");
+const { SessionManager } = require("./authentication/sessions");
+const { LoginThrottle }   = require("./authentication/throttle");
+const { ProviderManager } = require("./authentication/providers");
+const { RevisionManager } = require("./revisions");
+const { WebhookManager }  = require("./webhooks");
+const { AuditLog }        = require("./audit");
+const { createPolicies }  = require("./rest/policies");
+const audit             = require("./audit/router");
 const session           = require('./authentication/session');
 const admin             = require('./admin');
 const Schema            = require("./schema");
 const monitor           = require("./monitor");
-const cron              = require("./utils/cron");
+const { createCron }    = require("./utils/cron");
+const tasks             = require("./tasks");
+const env               = require("./utils/env");
+const { cors }          = require("./utils/cors");
 const EventEmitter      = require("events");
 const logger            = require("./utils/logger");
 
@@ -38,11 +50,38 @@ class Pocket extends EventEmitter {
         this.fileStore = stores.createFileStore(this);
 
         // --- Cron
-        this.cron = cron;
+        this.cron = createCron();
 
         // --- Setup user manager
         this.users = new UserManager(this);
 
+        // --- Refreshable and revocable login sessions
+        this.sessions = new SessionManager(this);
+
+        // --- Brute force protection of the login
+        this.throttle = new LoginThrottle(this);
+
+        // --- Login through external providers (OAuth2, OpenID Connect)
+        this.providers = new ProviderManager(this);
+
+        // --- Authorization rules of the rest api
+        this.policies = createPolicies();
+
+        // --- API keys for server to server access
+        this.apikeys = new ApiKeyManager(this);
+
+        // --- Revision history of versioned resources
+        this.revisions = new RevisionManager(this);
+
+        // --- Outbound notifications of record changes
+        this.webhooks = new WebhookManager(this);
+
+        // --- Log of the write operations
+        this.audit = new AuditLog(this);
+
+        // --- Maintenance tasks (started with the server)
+        this.tasks = tasks(this);
+
         this.initialization = Q.all([
             this.jsonStore.ready(),
             this.fileStore.ready(),
@@ -133,15 +172,18 @@ class Pocket extends EventEmitter {
 
         let app = this.app = express();
 
+        if (env() !== "test") {
+            _.each(this.tasks, t => t.start());
+        }
+
         app.use((req, res, next) => {
-            res.header("Access-Control-Allow-Origin", "*");
-            res.header("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
-            res.header("Access-Control-Allow-Headers", "Origin, X-Requested-With, Content-Type, Accept, Authorization");
-            res.header("Access-Control-Expose-Headers", "Content-Length, X-Page, X-Per-Page, X-Total-Pages");
             res.header('Cache-Control', 'no-cache');
             next();
         });
 
+        app.use(cors(_.extend({}, defaultConfig.cors, this.config().cors)));
+
+        // Preflight requests are answered by the CORS middleware, the other OPTIONS requests are accepted on every path
         app.options("*", (req, res) => {
             res.status(200).send();
         });
@@ -158,6 +200,8 @@ class Pocket extends EventEmitter {
 
         app.use("/monitor", monitor(this));
 
+        app.use("/audit", audit(this));
+
         return app;
     }
 
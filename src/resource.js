@@ -1,20 +1,79 @@
 const _       = require("lodash");
 const uniqid  = require('uniqid');
 const modify  = require("modifyjs");
+const path    = require("path");
+const fs      = require("fs");
 const env   = require("./utils/env");
+const defaultConfig = require("./utils/config");
+const { constrain } = require("./utils/uploads");
+const {
+  and,
+  prefixPaths,
+  queryPaths,
+  parseSort,
+  parseFields,
+  parsePopulate
+} = require("./utils/query");
 const { 
   RESOURCE_NOT_FOUND,
+  FORBIDDEN,
   Error
 } = require("./utils/errors");
 
+// Used when paginating without an explicit sort, to keep pages stable
+const DEFAULT_SORT = { _createdAt: 1, _id: 1 };
+
+// Publication states of the records of publishable resources
+const STATUS = {
+  DRAFT: "draft",
+  PUBLISHED: "published",
+  SCHEDULED: "scheduled",
+  ARCHIVED: "archived"
+};
+
+// Ownership modes of the schemas, restricting the records users can act on to the ones they created
+const OWNERSHIP = {
+  // Records can be read by everyone, but only updated or removed by their owner
+  WRITE: "write",
+  // Records can only be read, updated or removed by their owner
+  PRIVATE: "private"
+};
+
+// Only managed by publish/unpublish/archive
+const publicationProperties = [
+  "_status",
+  "_publishAt",
+  "_publishedAt",
+  "_published"
+];
+
 const reservedProperties = [
   "_id",
   "_createdBy",
   "_createdAt",
   "_updatedAt",
+  "_deletedAt",
+  "_attachments",
+  ...publicationProperties
+];
+
+// Only written by the CMS itself (ownership, soft deletion and attachments), never taken from the payloads
+const protectedProperties = [
+  "_createdBy",
+  "_deletedAt",
   "_attachments"
 ];
 
+// CMS properties exposed alongside the published version of a record
+const publishedProperties = [
+  "_id",
+  "_createdBy",
+  "_createdAt",
+  "_attachments",
+  "_status",
+  "_publishedAt"
+];
+
 /**
  * CMS resource. Used to interact with the database
  *
@@ -47,29 +106,308 @@ class Resource {
     return this.schema ? this.schema.indices() : [];
   }
 
-  async compute(records) {
+  /**
+   * Sets the computed and default properties of the records
+   *
+   * @param {*} records
+   * @param {string[]} [fields] restricts the computation to those fields
+   * @returns
+   * @memberof Resource
+   */
+  async compute(records, fields = null) {
     if (!this.schema) {
       return records;
     }
     if (!_.isArray(records)) {
       records = [ records ];
     }
+    const definitions = fields ?
+      _.filter(this.schema.fields, f => _.includes(fields, f.name)) :
+      this.schema.fields;
+
     return Promise.all(
-      _.map(records, r => this.schema.compute(r))
+      _.map(records, r => this.schema.compute(r, definitions))
     );
   }
 
+  /**
+   * Builds the datastore projection for a list of requested fields
+   * Returns null if the entire record is required (e.g by a computed field which doesn't declare its dependencies)
+   *
+   * @param {string[]} fields
+   * @returns {object|null}
+   * @memberof Resource
+   */
+  projection(fields) {
+    const schemaFields = this.schema ? this.schema.fields : [];
+    const projected = [ "_id" ];
+
+    for (let name of fields) {
+      const field = _.find(schemaFields, ["name", name]);
+      if (!field || !field.computed) {
+        projected.push(name);
+        continue;
+      }
+      if (!_.isArray(field.requires)) {
+        return null;
+      }
+      projected.push(...field.requires);
+    }
+
+    return _.fromPairs(_.uniq(projected).map(name => [ name, 1 ]));
+  }
+
+  /**
+   * Returns a list of errors for each reference pointing to a record that doesn't exist
+   *
+   * @param {object} record
+   * @returns {string[]}
+   * @memberof Resource
+   */
+  async checkReferences(record) {
+    const errors = [];
+    const references = this.schema ? this.schema.references() : [];
+
+    for (let { field, resource, many } of references) {
+      const value = record[field];
+      if (value === undefined || value === null) {
+        continue;
+      }
+
+      const target = this.pocket.resource(resource);
+      if (!target) {
+        errors.push(`Property '${field}' references an unknown resource '${resource}'`);
+        continue;
+      }
+
+      const ids = _.uniq(many ? value : [ value ]);
+      if (ids.length === 0) {
+        continue;
+      }
+
+      const count = await this.store.count(target.name, { _id: { $in: ids } });
+      if (count < ids.length) {
+        errors.push(`Property '${field}' references a record that does not exist`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Replaces the ids of the reference fields with the records they point to
+   * Records of a given resource are loaded in a single query
+   *
+   * @param {Array} records
+   * @param {string[]} fields the reference fields to populate
+   * @memberof Resource
+   */
+  async populate(records, fields) {
+    const references = this.schema ? this.schema.references() : [];
+
+    for (let name of fields) {
+      const ref = _.find(references, ["field", name]);
+      if (!ref) {
+        throw new Error(400, `Property '${name}' is not a reference and cannot be populated`);
+      }
+
+      const target = this.pocket.resource(ref.resource);
+      if (!target) {
+        throw new Error(400, `Property '${name}' references an unknown resource '${ref.resource}'`);
+      }
+
+      if (!(await this.userIsAllowed("read", target))) {
+        throw FORBIDDEN;
+      }
+
+      const ids = _.chain(records)
+        .flatMap(r => ref.many ? r[name] : [ r[name] ])
+        .filter(_.isString)
+        .uniq()
+        .value();
+
+      if (ids.length === 0) {
+        continue;
+      }
+
+      const related = await target
+        .withContext(this.context)
+        .find({ _id: { $in: ids } });
+
+      const byId = _.keyBy(related, "_id");
+
+      _.each(records, r => {
+        if (!_.has(r, name)) {
+          return;
+        }
+        r[name] = ref.many ?
+          _.compact(_.map(r[name], id => byId[id])) :
+          (byId[r[name]] || null);
+      });
+    }
+  }
+
+  /**
+   * Checks whether the user of the context can perform an action on a resource
+   * Calls made without a user (e.g from the server itself) are always allowed
+   *
+   * @param {string} action
+   * @param {Resource} [resource=this]
+   * @returns {Promise<boolean>}
+   * @memberof Resource
+   */
+  async userIsAllowed(action, resource = this) {
+    const { user } = this.context;
+
+    if (!user || user.isAdmin()) {
+      return true;
+    }
+    if (/^_/.test(resource.name)) {
+      return false;
+    }
+    // Only API keys are scoped, context users don't have to implement inScope
+    if (_.isFunction(user.inScope) && !user.inScope(action, resource.name)) {
+      return false;
+    }
+    if (resource.schema && resource.schema.userIsAllowed(user, action)) {
+      return true;
+    }
+    return user.isAllowed(action, resource.name);
+  }
+
+  /**
+   * Returns the fields the user of the context is not allowed to read or write (see Schema.restrictedFields)
+   * Calls made from the server and admins are unrestricted, while anonymous requests are denied the fields not opened to the anonymous group
+   *
+   * @param {string} action either 'read' or 'write'
+   * @returns {string[]}
+   * @memberof Resource
+   */
+  restrictedFields(action) {
+    const { user, request } = this.context;
+
+    if (!this.schema || (!user && !request)) {
+      return [];
+    }
+    const restricted = this.schema.restrictedFields(user ? user.groups : [], action);
+    if (restricted.length === 0 || (user && user.isAdmin())) {
+      return [];
+    }
+    return restricted;
+  }
+
+  /**
+   * Removes the fields the user of the context is not allowed to read
+   *
+   * @param {object|Array} records
+   * @returns {object|Array} the records
+   * @memberof Resource
+   */
+  hideRestrictedFields(records) {
+    const hidden = this.restrictedFields("read");
+    if (hidden.length > 0) {
+      _.each(_.compact(_.castArray(records)), r => {
+        _.each(hidden, field => delete r[field]);
+        // The published copy may be shared with the stored record, it is replaced rather than modified
+        if (r._published) {
+          r._published = _.omit(r._published, hidden);
+        }
+      });
+    }
+    return records;
+  }
+
+  /**
+   * Rejects the queries and sorts on fields the user of the context is not allowed to read,
+   * the values of those fields could otherwise be guessed from the records returned
+   *
+   * @param {object} query
+   * @param {object} [sort]
+   * @memberof Resource
+   */
+  assertReadable(query, sort) {
+    const hidden = this.restrictedFields("read");
+    if (hidden.length === 0) {
+      return;
+    }
+
+    const denied = _.filter([ ...queryPaths(query), ..._.keys(sort) ], path => {
+      const [ root, field ] = path.split(".");
+      return _.includes(hidden, root === "_published" ? field : root);
+    });
+    if (denied.length > 0) {
+      throw new Error(403, `Not allowed to query the properties ${_.uniq(denied).join(", ")}`);
+    }
+  }
+
+  /**
+   * Returns the query restricting an action to the records owned by the user of the context,
+   * or null if the action is not restricted by the ownership option of the schema
+   * Calls made from the server and admins are unrestricted, while anonymous requests don't own any record
+   *
+   * @param {string} action e.g read, update, remove
+   * @returns {object|null}
+   * @memberof Resource
+   */
+  ownership(action) {
+    const mode = this.schema ? this.schema.option("ownership") : null;
+    const { user, request } = this.context;
+
+    if (!_.includes(_.values(OWNERSHIP), mode) || (!user && !request)) {
+      return null;
+    }
+    if (action === "read" && mode !== OWNERSHIP.PRIVATE) {
+      return null;
+    }
+    if (user && user.isAdmin()) {
+      return null;
+    }
+    return user && user.id ? { _createdBy: user.id } : { _id: { $in: [] } };
+  }
+
+  /**
+   * Restricts a query to the records the user of the context is allowed to act on (see ownership)
+   *
+   * @param {object} query
+   * @param {string} action
+   * @returns {object}
+   * @memberof Resource
+   */
+  ownedScope(query, action) {
+    const owned = this.ownership(action);
+    return owned ? and(query, owned) : query;
+  }
+
+  /**
+   * Throws if the user of the context doesn't own a record it is allowed to see
+   *
+   * @param {object} record
+   * @param {string} action
+   * @memberof Resource
+   */
+  assertOwnership(record, action) {
+    const owned = this.ownership(action);
+    if (owned && record._createdBy !== owned._createdBy) {
+      throw FORBIDDEN;
+    }
+  }
+
   async validate(payload, opts = {}) {
     let { isUpdate = false } = opts;
 
     // We don't try to validate internal properties
-    let privateProps = _.pick(payload, reservedProperties);
+    let privateProps = _.pick(payload, _.difference(reservedProperties, publicationProperties, protectedProperties));
     let stripped = _.omit(payload, reservedProperties);
 
     if (this.schema == null) {
       return stripped;
     }
 
+    const denied = _.intersection(_.keys(stripped), this.restrictedFields("write"));
+    if (denied.length > 0) {
+      throw new Error(403, `Not allowed to write the properties ${denied.join(", ")}`);
+    }
+
     await this.runHooks({ record: stripped, schema: this.schema }).before(
       "validate"
     );
@@ -78,6 +416,10 @@ class Resource {
       ignoreRequired: isUpdate
     });
 
+    if (errors.length === 0) {
+      errors.push(...(await this.checkReferences(data)));
+    }
+
     _.extend(data, privateProps);
 
     await this.runHooks({ record: data, schema: this.schema, errors }).after(
@@ -91,6 +433,204 @@ class Resource {
     return data;
   }
 
+  /**
+   * Returns true if the changes made to records are tracked
+   *
+   * @returns {boolean}
+   * @memberof Resource
+   */
+  isVersioned() {
+    return !!(this.schema && this.schema.option("versioning"));
+  }
+
+  /**
+   * Returns true if removed records are moved to the trash instead of being deleted
+   *
+   * @returns {boolean}
+   * @memberof Resource
+   */
+  isSoftDeletable() {
+    return !!(this.schema && this.schema.option("softDelete"));
+  }
+
+  /**
+   * Restricts a query to the records outside of the trash
+   *
+   * @param {object} query
+   * @param {object} [opts={}]
+   * @param {boolean} [opts.withDeleted] include the records in the trash
+   * @param {boolean} [opts.onlyDeleted] only match the records in the trash
+   * @returns {object}
+   * @memberof Resource
+   */
+  scope(query, opts = {}) {
+    if (!this.isSoftDeletable() || opts.withDeleted) {
+      return query;
+    }
+    return and(query, { _deletedAt: { $exists: !!opts.onlyDeleted } });
+  }
+
+  /**
+   * Returns the attachment options of the resource, the attachments option of the schema overriding the configuration
+   *
+   * @returns {object}
+   * @memberof Resource
+   */
+  attachmentOptions() {
+    return _.extend(
+      {},
+      defaultConfig.attachments,
+      this.config.attachments,
+      this.schema ? this.schema.option("attachments") : null
+    );
+  }
+
+  /**
+   * Returns the upload rules of an attachment field { maxSize, mimeTypes, maxCount, required },
+   * or null if the attachments option of the schema declares fields, and not this one
+   *
+   * @param {string} name
+   * @returns {object|null}
+   * @memberof Resource
+   */
+  attachmentRules(name) {
+    const { fields, maxSize, mimeTypes } = this.attachmentOptions();
+
+    if (fields && !_.has(fields, name)) {
+      return null;
+    }
+    return _.extend({ maxSize, mimeTypes }, fields && fields[name]);
+  }
+
+  /**
+   * Returns the names of the required attachment fields the record has no attachment for
+   *
+   * @param {object} record
+   * @returns {string[]}
+   * @memberof Resource
+   */
+  missingAttachments(record) {
+    const { fields } = this.attachmentOptions();
+
+    return _.chain(fields)
+      .pickBy("required")
+      .keys()
+      .reject(name => _.some(record._attachments, ["name", name]))
+      .value();
+  }
+
+  /**
+   * Throws if the record cannot receive another attachment of the field
+   *
+   * @param {object} record
+   * @param {string} name
+   * @param {object} rules
+   * @memberof Resource
+   */
+  assertAttachable(record, name, rules) {
+    const { maxCount } = this.attachmentOptions();
+    const attachments = record._attachments || [];
+
+    if (_.isFinite(maxCount) && attachments.length >= maxCount) {
+      throw new Error(400, `Records cannot have more than ${maxCount} attachments`);
+    }
+    if (_.isFinite(rules.maxCount) && _.filter(attachments, ["name", name]).length >= rules.maxCount) {
+      throw new Error(400, `Records cannot have more than ${rules.maxCount} '${name}' attachments`);
+    }
+  }
+
+  /**
+   * Returns true if the records go through a draft/published workflow
+   *
+   * @returns {boolean}
+   * @memberof Resource
+   */
+  isPublishable() {
+    return !!(this.schema && this.schema.option("publishing"));
+  }
+
+  /**
+   * Checks whether reads should only return the published version of the records
+   * This is the case for public requests and users who cannot edit the resource,
+   * while editors and server side calls get the drafts unless the published option is set
+   *
+   * @param {object} [opts={}]
+   * @param {boolean} [opts.published]
+   * @returns {Promise<boolean>}
+   * @memberof Resource
+   */
+  async readsPublished(opts = {}) {
+    if (!this.isPublishable()) {
+      return false;
+    }
+    if (opts.published) {
+      return true;
+    }
+
+    const { user, request } = this.context;
+    if (!user) {
+      return !!request;
+    }
+    return !(await this.userIsAllowed("update"));
+  }
+
+  /**
+   * Restricts a read query to the records visible to the context (trash, published versions, ownership)
+   *
+   * @param {object} query
+   * @param {object} [opts={}]
+   * @returns {Promise<{ scoped: object, published: boolean }>}
+   * @memberof Resource
+   */
+  async readScope(query, opts = {}) {
+    const scoped = this.scope(query, opts);
+
+    if (!(await this.readsPublished(opts))) {
+      return { scoped: this.ownedScope(scoped, "read"), published: false };
+    }
+
+    return {
+      scoped: this.ownedScope(and(prefixPaths(scoped, "_published"), { _status: STATUS.PUBLISHED }), "read"),
+      published: true
+    };
+  }
+
+  /**
+   * Returns the published version of a record
+   *
+   * @param {object} record
+   * @returns {object}
+   * @memberof Resource
+   */
+  publishedVersion(record) {
+    return _.extend({}, record._published, _.pick(record, publishedProperties));
+  }
+
+  /**
+   * Emits a 'change' event on pocket after a record has been written
+   *
+   * @param {string} action e.g create, update, remove, attach, deleteAttachment
+   * @param {object} change
+   * @param {object} change.record
+   * @param {object} [change.previous] the record before the change
+   * @memberof Resource
+   */
+  notify(action, change) {
+    this.pocket.emit("change", _.extend({
+      action,
+      resource: this.name,
+      context: this.context
+    }, change));
+  }
+
+  async trackRevision(record, previous = null) {
+    if (!this.isVersioned()) {
+      return;
+    }
+    const author = this.context.user ? this.context.user.id : record._createdBy;
+    await this.pocket.revisions.track(this.name, record, { previous, author });
+  }
+
   // ---- Context
 
   /**
@@ -151,6 +691,14 @@ class Resource {
    *
    * @param {*} [query={}]
    * @param {*} [opts={}]
+   * @param {number} [opts.page]
+   * @param {number} [opts.pageSize]
+   * @param {string|Array|object} [opts.sort] e.g '-_createdAt,title' or { _createdAt: -1 }
+   * @param {string|Array} [opts.fields] only return those fields e.g 'title,slug'
+   * @param {string|Array} [opts.populate] reference fields to replace with the records they point to
+   * @param {boolean} [opts.withDeleted] include the records in the trash
+   * @param {boolean} [opts.onlyDeleted] only return the records in the trash
+   * @param {boolean} [opts.published] only return the published version of the records
    * @returns
    * @memberof Resource
    */
@@ -170,10 +718,34 @@ class Resource {
       params.limit = pageSize;
     }
 
-    let records = await this.store.find(this.name, query, params);
+    let sort = parseSort(opts.sort);
+    this.assertReadable(query, sort);
+    if (sort || paginated) {
+      params.sort = sort || DEFAULT_SORT;
+    }
+
+    let fields = parseFields(opts.fields);
+    if (fields) {
+      params.projection = this.projection(fields);
+    }
+
+    const { scoped, published } = await this.readScope(query, opts);
+    if (published) {
+      _.each([ "sort", "projection" ], key => {
+        if (params[key]) {
+          params[key] = prefixPaths(params[key], "_published");
+        }
+      });
+    }
+
+    let records = await this.store.find(this.name, scoped, params);
+
+    if (published) {
+      records = records.map(r => this.publishedVersion(r));
+    }
 
     if (paginated) {
-      const count = await this.store.count(this.name, query);
+      const count = await this.store.count(this.name, scoped);
       records.meta = {
         page,
         pageSize,
@@ -182,7 +754,20 @@ class Resource {
     }
 
     if (!opts.skipComputation) {
-      await this.compute(records);
+      await this.compute(records, fields);
+    }
+
+    if (fields) {
+      const picked = records.map(r => _.pick(r, [ "_id", ...fields ]));
+      picked.meta = records.meta;
+      records = picked;
+    }
+
+    this.hideRestrictedFields(records);
+
+    let populate = parsePopulate(opts.populate);
+    if (populate) {
+      await this.populate(records, populate);
     }
 
     await this.runHooks({ records, query, options: opts }).after(
@@ -193,6 +778,24 @@ class Resource {
     return records;
   }
 
+  /**
+   * Returns the number of records matching the query
+   *
+   * @param {*} [query={}]
+   * @param {*} [opts={}]
+   * @param {boolean} [opts.withDeleted] include the records in the trash
+   * @param {boolean} [opts.onlyDeleted] only count the records in the trash
+   * @param {boolean} [opts.published] only count the published records
+   * @returns {Promise<number>}
+   * @memberof Resource
+   */
+  async count(query = {}, opts = {}) {
+    await this.store.ready();
+    this.assertReadable(query);
+    const { scoped } = await this.readScope(query, opts);
+    return this.store.count(this.name, scoped);
+  }
+
   /**
    * Creates a record = require(the payload);
    *
@@ -204,6 +807,11 @@ class Resource {
   async create(payload, opts = {}) {
     await this.store.ready();
 
+    const owned = this.ownership("create");
+    if (owned && opts.userId && opts.userId !== owned._createdBy) {
+      throw FORBIDDEN;
+    }
+
     let userId = opts.userId || (this.context.user && this.context.user.id);
     let data = opts.skipValidation ? payload : await this.validate(payload);
 
@@ -215,15 +823,23 @@ class Resource {
     data._attachments = [];
     data._createdBy = userId || null;
 
+    if (this.isPublishable()) {
+      data._status = STATUS.DRAFT;
+    }
+
     let record = await this.store.insert(this.name, data);
 
+    await this.trackRevision(record);
+    this.notify("create", { record });
+
     if (!opts.skipComputation) {
       await this.compute(record);
     }
 
     await this.runHooks({ record }).after("create", "save");
 
-    return record;
+    // The record is shared with the change listeners, only the returned copy is restricted
+    return this.hideRestrictedFields(_.clone(record));
   }
 
   /**
@@ -251,6 +867,9 @@ class Resource {
    *
    * @param {*} query
    * @param {*} operations
+   * @param {*} [options={}]
+   * @param {boolean} [options.multi=true]
+   * @param {string} [options.action='update'] the action reported in the change events
    * @returns
    * @memberof Resource
    */
@@ -261,15 +880,26 @@ class Resource {
 
     await this.runHooks({ query, operations }).before("update");
 
-    await this.store.each(this.name, query, opts).do(async record => {
+    const scoped = this.ownedScope(this.scope(query, opts), "update");
+
+    await this.store.each(this.name, scoped, opts).do(async record => {
       const updatedRecord = modify(record, operations);
       updatedRecord._updatedAt = Date.now();
       await this.runHooks({ oldRecord: record, record: updatedRecord }).before("save");
+
+      const changes = { $set: updatedRecord };
+      const removedKeys = _.difference(_.keys(record), _.keys(updatedRecord));
+      if (removedKeys.length > 0) {
+        changes.$unset = _.fromPairs(removedKeys.map(k => [ k, true ]));
+      }
+
       await this.store.update(
         this.name,
         { _id: record._id },
-        { $set: updatedRecord }
+        changes
       );
+      await this.trackRevision(updatedRecord, record);
+      this.notify(opts.action || "update", { record: updatedRecord, previous: record });
       await this.runHooks({ record: updatedRecord, query, operations }).after("update", "save");
       return updatedRecord;
     });
@@ -316,35 +946,113 @@ class Resource {
    *
    * @param {*} id
    * @param {*} operations
+   * @param {*} [options={}] see update
    * @returns
    * @memberof Resource
    */
-  async updateOne(id, operations) {
+  async updateOne(id, operations, options = {}) {
     const exists = await this.get(id);
 
     if (!exists) {
       throw RESOURCE_NOT_FOUND;
     }
+    this.assertOwnership(exists, "update");
 
-    await this.update({ _id: id }, operations, { multi: false });
+    await this.update({ _id: id }, operations, _.extend({}, options, { multi: false }));
     return this.get(id);
   }
 
+  /**
+   * Returns the revisions of a record, latest first
+   *
+   * @param {string} id
+   * @returns {Promise<object[]>}
+   * @memberof Resource
+   */
+  async history(id) {
+    if (!this.isVersioned()) {
+      throw new Error(400, `Resource '${this.name}' is not versioned`);
+    }
+    const revisions = await this.pocket.revisions.history(this.name, id);
+
+    // Snapshots and diffs are taken from the stored records, they hold the restricted fields too
+    _.each(revisions, ({ snapshot, diff }) => {
+      this.hideRestrictedFields(snapshot);
+      this.hideRestrictedFields(diff);
+      if (diff && diff._published) {
+        this.hideRestrictedFields(_.compact([ diff._published.from, diff._published.to ]));
+      }
+    });
+    return revisions;
+  }
+
+  /**
+   * Restores a record to the state it had at the given revision
+   * The restoration is itself recorded as a new revision
+   *
+   * @param {string} id
+   * @param {number} revision
+   * @returns {Promise<object>} the restored record
+   * @memberof Resource
+   */
+  async revert(id, revision) {
+    if (!this.isVersioned()) {
+      throw new Error(400, `Resource '${this.name}' is not versioned`);
+    }
+
+    const [ target, current ] = await Promise.all([
+      this.pocket.revisions.get(this.name, id, revision),
+      this.get(id, { skipComputation: true })
+    ]);
+
+    if (!target || !current) {
+      throw RESOURCE_NOT_FOUND;
+    }
+
+    // The fields the user cannot write keep their current value
+    const locked = this.restrictedFields("write");
+    const snapshot = _.omit(target.snapshot, reservedProperties, locked);
+    const removed = _.difference(
+      _.keys(_.omit(current, reservedProperties, locked)),
+      _.keys(snapshot)
+    );
+
+    const operations = { $set: snapshot };
+    if (removed.length > 0) {
+      operations.$unset = _.fromPairs(removed.map(k => [ k, true ]));
+    }
+
+    return this.updateOne(id, operations);
+  }
+
   /**
    * Deletes a record by it's ID
    *
    * @param {*} id
+   * @param {*} [opts={}]
+   * @param {boolean} [opts.purge] permanently delete the record, even if the resource supports soft deletion
    * @returns
    * @memberof Resource
    */
-  removeOne(id) {
-    return this.remove({ _id: id }, { multi: false });
+  async removeOne(id, opts = {}) {
+    if (this.ownership("remove")) {
+      const record = await this.get(id, { withDeleted: opts.purge, skipComputation: true });
+      if (record) {
+        this.assertOwnership(record, "remove");
+      }
+    }
+    return this.remove({ _id: id }, _.extend({}, opts, { multi: false }));
   }
 
   /**
    * Delete records by query
+   * Records of resources supporting soft deletion are moved to the trash unless the purge option is set
+   * The files attached to the permanently deleted records are deleted with them
    *
    * @param {*} id
+   * @param {*} [options={ multi: true }]
+   * @param {boolean} [options.multi]
+   * @param {boolean} [options.purge] permanently delete the records
    * @returns
    * @memberof Resource
    */
@@ -352,16 +1060,208 @@ class Resource {
     await this.store.ready();
 
     const multi = !!options.multi;
+    const purge = !!options.purge || !this.isSoftDeletable();
 
     await this.runHooks({ query, options }).before("remove");
 
-    let removedCount = await this.store.remove(this.name, query, { multi });
+    query = this.ownedScope(query, "remove");
+
+    const removed = await this.store.find(this.name, purge ? query : this.scope(query), multi ? {} : { limit: 1 });
+
+    let removedCount = purge ?
+      await this.store.remove(this.name, query, { multi }) :
+      await this.trash(query, multi);
+
+    if (purge) {
+      await this.deleteAttachedFiles(removed);
+    }
+
+    _.each(removed, record => this.notify("remove", { record }));
 
     await this.runHooks({ query, options, removedCount }).after("remove");
 
     return removedCount;
   }
 
+  /**
+   * Deletes the files attached to permanently removed records
+   * Files which cannot be deleted are left to the attachments cleanup task
+   *
+   * @param {object[]} records
+   * @memberof Resource
+   */
+  async deleteAttachedFiles(records) {
+    const files = _.chain(records).flatMap("_attachments").compact().map("file").value();
+
+    if (!files.length) {
+      return;
+    }
+
+    await this.attachments.ready();
+    for (let file of files) {
+      await this.attachments.delete(file).catch(_.noop);
+    }
+  }
+
+  /**
+   * Moves records to the trash by marking them with a deletion date
+   *
+   * @param {*} query
+   * @param {boolean} multi
+   * @returns {Promise<number>} the number of records moved to the trash
+   * @memberof Resource
+   */
+  async trash(query, multi) {
+    const scoped = this.scope(query);
+    const count = await this.store.count(this.name, scoped);
+
+    if (count === 0) {
+      return 0;
+    }
+
+    await this.store.update(this.name, scoped, { $set: { _deletedAt: Date.now() } }, { multi });
+    return multi ? count : 1;
+  }
+
+  /**
+   * Takes a record out of the trash
+   *
+   * @param {*} id
+   * @returns {Promise<object>} the restored record
+   * @memberof Resource
+   */
+  async restore(id) {
+    if (!this.isSoftDeletable()) {
+      throw new Error(400, `Resource '${this.name}' does not support soft deletion`);
+    }
+
+    const record = await this.findOne({ _id: id }, { onlyDeleted: true, skipComputation: true });
+    if (!record) {
+      throw RESOURCE_NOT_FOUND;
+    }
+    this.assertOwnership(record, "update");
+
+    await this.update({ _id: id }, { $unset: { _deletedAt: true } }, {
+      multi: false,
+      onlyDeleted: true
+    });
+    return this.get(id);
+  }
+
+  /**
+   * Permanently deletes the records of the trash matching the query
+   *
+   * @param {*} [query={}]
+   * @returns {Promise<number>} the number of deleted records
+   * @memberof Resource
+   */
+  async purge(query = {}) {
+    if (!this.isSoftDeletable()) {
+      throw new Error(400, `Resource '${this.name}' does not support soft deletion`);
+    }
+    return this.remove(this.scope(query, { onlyDeleted: true }), { multi: true, purge: true });
+  }
+
+  /**
+   * Publishes the current draft of a record, or schedules it to be published later
+   *
+   * @param {*} id
+   * @param {*} [opts={}]
+   * @param {number|string|Date} [opts.publishAt] a future date at which the record should be published
+   * @returns {Promise<object>} the updated record
+   * @memberof Resource
+   */
+  async publish(id, opts = {}) {
+    this.assertPublishable();
+
+    const [ draft ] = await this.store.find(this.name, this.scope({ _id: id }), { limit: 1 });
+    if (!draft) {
+      throw RESOURCE_NOT_FOUND;
+    }
+
+    const missing = this.missingAttachments(draft);
+    if (missing.length) {
+      throw new Error(400, `Missing required attachments: ${missing.join(", ")}`);
+    }
+
+    if (!_.isNil(opts.publishAt)) {
+      const publishAt = new Date(opts.publishAt).getTime();
+      if (_.isNaN(publishAt)) {
+        throw new Error(400, `Invalid publication date '${opts.publishAt}'`);
+      }
+      if (publishAt > Date.now()) {
+        return this.updateOne(id, {
+          $set: { _status: STATUS.SCHEDULED, _publishAt: publishAt }
+        });
+      }
+    }
+
+    return this.updateOne(id, {
+      $set: {
+        _status: STATUS.PUBLISHED,
+        _publishedAt: Date.now(),
+        _published: _.omit(draft, reservedProperties)
+      },
+      $unset: { _publishAt: true }
+    });
+  }
+
+  /**
+   * Takes a record offline, back to the draft state
+   *
+   * @param {*} id
+   * @returns {Promise<object>} the updated record
+   * @memberof Resource
+   */
+  unpublish(id) {
+    return this.changeStatus(id, STATUS.DRAFT);
+  }
+
+  /**
+   * Takes a record offline, and marks it as archived
+   *
+   * @param {*} id
+   * @returns {Promise<object>} the updated record
+   * @memberof Resource
+   */
+  archive(id) {
+    return this.changeStatus(id, STATUS.ARCHIVED);
+  }
+
+  async changeStatus(id, status) {
+    this.assertPublishable();
+    return this.updateOne(id, {
+      $set: { _status: status },
+      $unset: { _published: true, _publishedAt: true, _publishAt: true }
+    });
+  }
+
+  /**
+   * Publishes the scheduled records whose publication date has passed
+   *
+   * @returns {Promise<number>} the number of published records
+   * @memberof Resource
+   */
+  async publishScheduled() {
+    this.assertPublishable();
+
+    const due = await this.store.find(this.name, this.scope({
+      _status: STATUS.SCHEDULED,
+      _publishAt: { $lte: Date.now() }
+    }), {});
+
+    for (let record of due) {
+      await this.publish(record._id);
+    }
+    return due.length;
+  }
+
+  assertPublishable() {
+    if (!this.isPublishable()) {
+      throw new Error(400, `Resource '${this.name}' does not support publishing`);
+    }
+  }
+
   /**
    * Dros the entire collection. Only available in test mode
    *
@@ -384,20 +1284,48 @@ class Resource {
    * @param {String} recordId
    * @param {String} name
    * @param {Stream|String} file
+   * @param {object} [opts={}]
+   * @param {string} [opts.filename] the original name of the file, sent back when it is downloaded
    * @memberof Resource
    */
-  async attach(recordId, name, file) {
+  async attach(recordId, name, file, opts = {}) {
     await this.store.ready();
     await this.attachments.ready();
 
-    let result = await this.attachments.save(name, file);
+    const rules = this.attachmentRules(name);
+    if (!rules) {
+      throw new Error(400, `Unknown attachment field '${name}'`);
+    }
+
+    const record = await this.get(recordId);
+    if (!record) {
+      throw RESOURCE_NOT_FOUND;
+    }
+    this.assertOwnership(record, "update");
+    this.assertAttachable(record, name, rules);
+
+    let source = _.isString(file) ? fs.createReadStream(file) : file;
+    if (source && _.isFunction(source.pipe)) {
+      source = constrain(source, _.pick(rules, ["maxSize", "mimeTypes"]));
+    }
+
+    let result = await this.attachments.save(name, source);
 
     let att = _.extend({}, result, {
       name: name,
+      filename: opts.filename || (_.isString(file) ? path.basename(file) : name),
       id: result.file
     });
 
-    return this.updateOne(recordId, { $push: { _attachments: att } });
+    try {
+      // Other attachments may have been added during the upload
+      this.assertAttachable(await this.get(recordId), name, rules);
+
+      return await this.updateOne(recordId, { $push: { _attachments: att } }, { action: "attach" });
+    } catch (e) {
+      await this.attachments.delete(result.file).catch(_.noop);
+      throw e;
+    }
   }
 
   /**
@@ -417,27 +1345,38 @@ class Resource {
 
     let attachments = record._attachments || [];
 
-    if (!_.find(attachments, ["id", attachmentId])) {
+    const attachment = _.find(attachments, ["id", attachmentId]);
+    if (!attachment) {
       return record;
     }
 
-    await this.attachments.delete(attachmentId);
+    this.assertOwnership(record, "update");
 
-    record._attachments = record._attachments.filter(
-      att => att.id !== attachmentId
-    );
-    return this.mergeOne(recordId, record, { skipValidation: true });
+    const rules = this.attachmentRules(attachment.name);
+    if (rules && rules.required && _.filter(attachments, ["name", attachment.name]).length === 1) {
+      throw new Error(400, `Attachment '${attachment.name}' is required`);
+    }
+
+    const updated = await this.updateOne(recordId, {
+      $set: { _attachments: attachments.filter(att => att.id !== attachmentId) }
+    }, { action: "deleteAttachment" });
+
+    // The file is only deleted once the record no longer refers to it, a failure is left to the attachments cleanup task
+    await this.attachments.delete(attachment.file).catch(_.noop);
+
+    return updated;
   }
 
   /**
    *
    *
    * @param {String} attachmentId
+   * @param {object} [range] only read the bytes from range.start to range.end (inclusive)
    * @returns {Stream}
    * @memberof Resource
    */
-  readAttachment(attachmentId) {
-    return this.attachments.stream(attachmentId);
+  readAttachment(attachmentId, range) {
+    return this.attachments.stream(attachmentId, range);
   }
 
   /**
@@ -445,11 +1384,22 @@ class Resource {
    *
    * @param {*} query
    * @param {*} function
+   * @param {*} [opts={}]
+   * @param {string|Array|object} [opts.sort]
+   * @param {boolean} [opts.withDeleted] include the records in the trash
+   * @param {boolean} [opts.onlyDeleted] only iterate over the records in the trash
    * @memberof Resource
    */
-  async each(query, fn) {
+  async each(query, fn, opts = {}) {
     await this.store.ready()
-    await this.store.each(this.name, query, {}).do(fn);
+
+    const params = {};
+    const sort = parseSort(opts.sort);
+    if (sort) {
+      params.sort = sort;
+    }
+
+    await this.store.each(this.name, this.scope(query, opts), params).do(fn);
   }
 
   // ---- HOOKS
@@ -459,4 +1409,7 @@ class Resource {
   }
 }
 
+Resource.STATUS = STATUS;
+Resource.OWNERSHIP = OWNERSHIP;
+
 module.exports = Resource;
@@ -1,7 +1,10 @@
 const  _            = require("lodash");
 const  Busboy       = require('busboy');
 const  Q            = require('q');
+const  contentDisposition = require('content-disposition');
+const  crypto       = require('../utils/crypto');
 const  {isNumeric}  = require('../utils/helpers');
+const  {parseFilter} = require('../utils/query');
 const  {
     Error,
     INTERNAL_ERROR,
@@ -21,6 +24,53 @@ function Handler(fn) {
 }
 
 
+/**
+ * Attachments never change once uploaded, their ETag is derived from their id
+ *
+ * @param {object} attachment
+ * @returns {string}
+ */
+function etagOf(attachment) {
+    return `"${crypto.sha256(`${attachment.id}:${attachment.size}`).substr(0, 32)}"`;
+}
+
+/**
+ * Returns the byte range requested with the Range header as { start, end },
+ * null if the whole file should be sent, or -1 if the range cannot be satisfied
+ *
+ * Multiple ranges are not supported, the whole file is sent instead
+ *
+ * @param {*} req
+ * @param {number} size
+ * @param {object} validators the ETag and Last-Modified headers of the file, checked against If-Range
+ * @returns {object|number|null}
+ */
+function rangeOf(req, size, { etag, lastModified }) {
+    if (!req.get('range')) {
+        return null;
+    }
+
+    const ifRange = req.get('if-range');
+    if (ifRange) {
+        const matches = /^(W\/)?"/.test(ifRange) ?
+            ifRange === etag :
+            Date.parse(lastModified) <= Date.parse(ifRange);
+        if (!matches) {
+            return null;
+        }
+    }
+
+    const ranges = req.range(size, { combine: true });
+    if (ranges === -1) {
+        return -1;
+    }
+    if (!_.isArray(ranges) || ranges.type !== 'bytes' || ranges.length !== 1) {
+        return null;
+    }
+    return ranges[0];
+}
+
+
 // ---- Handlers
 
 /**
@@ -50,18 +100,28 @@ function preloadResource(req, res, next) {
  *
  * GET /:resource/:id
  *
+ * A subset of the fields can be requested with the fields query parameter,
+ * and references can be resolved with the populate query parameter
+ * e.g ?fields=title,author&populate=author
+ *
+ * The published version of the record is returned with ?published=true
+ *
  * @param {*} req
  * @param {*} res
  */
 const getOne = Handler(async (req, res) => {
-    const id        = req.params.id;
-    const userId    = req.params.userId;
-    const record    = await req.resource.get(id);
+    const { id, userId }        = req.params;
+    const { fields, populate }  = req.query;
+    const published             = req.query.published === "true";
 
-    if (!record)
-        throw RESOURCE_NOT_FOUND;
+    const query = { _id: id };
+    if (userId) {
+        query._createdBy = userId;
+    }
+
+    const record = await req.resource.findOne(query, { fields, populate, published });
 
-    if (userId && record._createdBy != userId)
+    if (!record)
         throw RESOURCE_NOT_FOUND;
 
     res.json(record);
@@ -72,27 +132,41 @@ const getOne = Handler(async (req, res) => {
  *
  * GET /:resource
  *
+ * Records can be filtered and sorted with the filter and sort query parameters,
+ * a subset of their fields can be requested with the fields query parameter,
+ * and references can be resolved with the populate query parameter
+ * e.g ?filter[price][$gt]=10&sort=-_createdAt&fields=title,author&populate=author
+ *
+ * Records in the trash are listed instead with ?trash=true,
+ * and the published version of the records with ?published=true
+ *
  * @param {*} req
  * @param {*} res
  */
 const getAll = Handler(async (req, res) => {
-    const { page, pageSize } = req.query;
-    const { userId }         = req.params;
-
-    const paginationOptions = {};
+    const { page, pageSize, filter, sort, fields, populate, trash }  = req.query;
+    const { userId }                                                 = req.params;
+
+    const options = {
+        sort,
+        fields,
+        populate,
+        onlyDeleted: trash === "true",
+        published: req.query.published === "true"
+    };
     if (isNumeric(pageSize)) {
-        paginationOptions.pageSize = Number(pageSize);
+        options.pageSize = Number(pageSize);
         if (isNumeric(page)) {
-            paginationOptions.page = Number(page);
+            options.page = Number(page);
         }
     }
 
-    let query = {};
+    let query = parseFilter(filter, req.resource.schema);
     if (userId) {
         query._createdBy = userId;
     }
 
-    const records = await req.resource.find(query, paginationOptions);
+    const records = await req.resource.find(query, options);
 
     const meta = records.meta;
     if (meta) {
@@ -133,8 +207,14 @@ const attachFile = Handler((req, res) => {
     let busboy = new Busboy({ headers: req.headers });
     let promises = [];
 
-    busboy.on('file', (fieldname, file) => {
-        promises.push(resource.attach(id, fieldname, file));
+    busboy.on('file', (fieldname, file, filename) => {
+        const attachment = Q(resource.attach(id, fieldname, file, { filename }))
+            .catch((e) => {
+                // The rest of a rejected file is skipped, for busboy to reach the end of the request
+                file.resume();
+                throw e;
+            });
+        promises.push(attachment);
     });
 
     busboy.on('finish', function() {
@@ -164,6 +244,9 @@ const attachFile = Handler((req, res) => {
  *
  * GET /:resource/:id/attachments/:attachmentId
  *
+ * Supports conditional requests (If-None-Match, If-Modified-Since) and partial downloads (Range, If-Range).
+ * Attachments are displayed inline by the browsers unless ?download=true is set
+ *
  * @param {*} req
  * @param {*} res
  */
@@ -182,9 +265,44 @@ const downloadAttachment = Handler(async (req, res) => {
         throw RESOURCE_NOT_FOUND;
     }
 
-    let stream = resource.readAttachment(attachment.file);
+    const size          = attachment.size;
+    const etag          = etagOf(attachment);
+    const lastModified  = new Date(attachment.createdAt).toUTCString();
+    const { cacheControl } = resource.attachmentOptions();
+
+    res.set('etag', etag);
+    res.set('last-modified', lastModified);
+    res.set('cache-control', cacheControl);
+    res.set('accept-ranges', 'bytes');
+
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+
+    const range = rangeOf(req, size, { etag, lastModified });
+    if (range === -1) {
+        res.set('content-range', `bytes */${size}`);
+        throw new Error(416, "Requested range not satisfiable");
+    }
+
     res.set('content-type', attachment.mimeType || 'application/octet-stream');
-    res.set('content-length', attachment.size);
+    res.set('content-disposition', contentDisposition(attachment.filename || attachment.name, {
+        type: req.query.download === "true" ? "attachment" : "inline"
+    }));
+
+    if (range) {
+        res.status(206);
+        res.set('content-range', `bytes ${range.start}-${range.end}/${size}`);
+        res.set('content-length', range.end - range.start + 1);
+    } else {
+        res.set('content-length', size);
+    }
+
+    if (req.method === 'HEAD') {
+        return res.end();
+    }
+
+    let stream = resource.readAttachment(attachment.file, range);
     stream
         .on('error', err => {
             INTERNAL_ERROR.send(res);
@@ -228,16 +346,119 @@ const updateOne = Handler(async (req, res) => {
  *
  * DELETE /:resource:/:id
  *
+ * Records of resources supporting soft deletion are moved to the trash,
+ * ?purge=true deletes them permanently
+ *
  * @param {*} req
  * @param {*} res
  */
 const removeOne = Handler(async (req, res) => {
     const id    = req.params.id;
-    await req.resource.removeOne(id);
+    const purge = req.query.purge === "true";
+    await req.resource.removeOne(id, { purge });
     res.sendStatus(200);
 });
 
+/**
+ * Takes a record out of the trash
+ *
+ * POST /:resource/:id/restore
+ *
+ * @param {*} req
+ * @param {*} res
+ */
+const restoreOne = Handler(async (req, res) => {
+    const id = req.params.id;
+    let record = await req.resource.restore(id);
+    res.json(record);
+});
+
+/**
+ * Publishes a record, or schedules its publication if a future publishAt date is provided
+ *
+ * POST /:resource/:id/publish
+ *
+ * @param {*} req
+ * @param {*} res
+ */
+const publishOne = Handler(async (req, res) => {
+    const id            = req.params.id;
+    const { publishAt } = req.body || {};
+    let record = await req.resource.publish(id, { publishAt });
+    res.json(record);
+});
+
+/**
+ * Takes a record offline, back to the draft state
+ *
+ * POST /:resource/:id/unpublish
+ *
+ * @param {*} req
+ * @param {*} res
+ */
+const unpublishOne = Handler(async (req, res) => {
+    let record = await req.resource.unpublish(req.params.id);
+    res.json(record);
+});
+
+/**
+ * Takes a record offline and archives it
+ *
+ * POST /:resource/:id/archive
+ *
+ * @param {*} req
+ * @param {*} res
+ */
+const archiveOne = Handler(async (req, res) => {
+    let record = await req.resource.archive(req.params.id);
+    res.json(record);
+});
+
+/**
+ * Returns the revisions of a record
+ *
+ * GET /:resource/:id/revisions
+ *
+ * @param {*} req
+ * @param {*} res
+ */
+const getRevisions = Handler(async (req, res) => {
+    const id = req.params.id;
+    const record = await req.resource.get(id, { fields: "_id" });
+
+    if (!record) {
+        throw RESOURCE_NOT_FOUND;
+    }
+
+    res.json(await req.resource.history(id));
+});
+
+/**
+ * Restores a record to a previous revision
+ *
+ * POST /:resource/:id/revisions/:revision/restore
+ *
+ * @param {*} req
+ * @param {*} res
+ */
+const restoreRevision = Handler(async (req, res) => {
+    const { id, revision } = req.params;
+
+    if (!isNumeric(revision)) {
+        throw RESOURCE_NOT_FOUND;
+    }
+
+    let record = await req.resource.revert(id, Number(revision));
+    res.json(record);
+});
+
 module.exports = {
+    publishOne,
+    unpublishOne,
+    archiveOne,
+    restoreOne,
+    getRevisions,
+    restoreRevision,
     removeOne,
     updateOne,
     deleteAttachment,
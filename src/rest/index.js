@@ -1,7 +1,6 @@
 const { Router }  = require("express");
 const handlers    = require("./handlers");
 const bodyParser  = require("body-parser");
-const policies    = require("./policies");
 
 const ACTION_MAP = {
   POST: "create",
@@ -12,6 +11,7 @@ const ACTION_MAP = {
 
 module.exports = function(pocket) {
   let router = Router();
+  const policies = pocket.policies;
 
   const prefix = endpoint => `(/users/:userId)?${endpoint}`;
 
@@ -20,18 +20,39 @@ module.exports = function(pocket) {
     // Attach pocket to request
     req.ctx = req.ctx || {};
     req.ctx.pocket = pocket;
+    req.ctx.user = req.ctx.user || pocket.users.anonymous();
     next();
   });
 
   // Prepare
   router.use(prefix("/:resource"), handlers.preloadResource);
 
-  // Public
-  router.get(prefix("/:resource/:id/attachments/:attachmentId"), handlers.downloadAttachment);
+  // Endpoints which don't follow the http method to action mapping
+  router.post(prefix("/:resource/:id/revisions/:revision/restore"), policies.action("update"));
+  router.post(prefix("/:resource/:id/restore"), policies.action("update"));
+  router.post(prefix("/:resource/:id/publish"), policies.action("update"));
+  router.post(prefix("/:resource/:id/unpublish"), policies.action("update"));
+  router.post(prefix("/:resource/:id/archive"), policies.action("update"));
+  router.post(prefix("/:resource/:id/attachments"), policies.action("update"));
+  router.delete(prefix("/:resource/:id/attachments/:attachmentId"), policies.action("update"));
+  router.get(prefix("/:resource"), (req, res, next) => {
+    // Listing the trash requires the permission to remove records
+    if (req.query.trash === "true") {
+      return policies.action("remove")(req, res, next);
+    }
+    next();
+  });
 
   // Private
   router.use("(/users/:userId)?/:resource", policies.middleware());
+  router.get(prefix("/:resource/:id/attachments/:attachmentId"), handlers.downloadAttachment);
   router.delete(prefix("/:resource/:id/attachments/:attachmentId"), handlers.deleteAttachment);
+  router.get(prefix("/:resource/:id/revisions"), handlers.getRevisions);
+  router.post(prefix("/:resource/:id/revisions/:revision/restore"), handlers.restoreRevision);
+  router.post(prefix("/:resource/:id/restore"), handlers.restoreOne);
+  router.post(prefix("/:resource/:id/publish"), handlers.publishOne);
+  router.post(prefix("/:resource/:id/unpublish"), handlers.unpublishOne);
+  router.post(prefix("/:resource/:id/archive"), handlers.archiveOne);
   router.get(prefix("/:resource/:id"), handlers.getOne);
   router.post(prefix("/:resource/:id/attachments"), handlers.attachFile);
   router.put(prefix("/:resource/:id"), handlers.updateOne);
@@ -1,26 +1,100 @@
 
+const _       = require("lodash");
 const env     = require("../utils/env");
 const config  = require("../utils/config");
+const { OWNERSHIP } = require("../resource");
 const {
   Error,
   FORBIDDEN,
   UNAUTHORIZED
 } = require("../utils/errors");
 
+/**
+ * Ordered list of authorization rules applied to the /rest endpoints
+ *
+ * Rules are called in order with (req, allow, deny) until one of them allows the request, denies it or throws.
+ * Requests which aren't allowed by any rule are forbidden. The checked action (e.g read) is available as req.ctx.action
+ *
+ * @class Policies
+ */
 class Policies {
 
   constructor() {
     this.rules = [];
   }
 
-  rule(desc, fn) {
-    this.rules.push({ desc, fn });
+  /**
+   * Adds a rule, at the end of the list unless specified otherwise
+   *
+   * @param {string} desc the description of the rule, also used as its name
+   * @param {function} fn function(req, allow, deny)
+   * @param {object} [opts={}]
+   * @param {boolean} [opts.prepend] adds the rule at the start of the list
+   * @param {string} [opts.before] adds the rule before the rule with this description
+   * @param {string} [opts.after] adds the rule after the rule with this description
+   * @param {string|string[]} [opts.resources] only applies the rule to those resources
+   * @returns {Policies}
+   * @memberof Policies
+   */
+  rule(desc, fn, opts = {}) {
+    const rule = { desc, fn };
+    if (opts.resources) {
+      rule.resources = _.castArray(opts.resources);
+    }
+
+    let index = this.rules.length;
+    if (opts.prepend) {
+      index = 0;
+    } else if (opts.before) {
+      index = this.indexOf(opts.before);
+    } else if (opts.after) {
+      index = this.indexOf(opts.after) + 1;
+    }
+
+    this.rules.splice(index, 0, rule);
+    return this;
+  }
+
+  /**
+   * Removes a rule
+   *
+   * @param {string} desc
+   * @returns {Policies}
+   * @memberof Policies
+   */
+  remove(desc) {
+    this.rules.splice(this.indexOf(desc), 1);
+    return this;
+  }
+
+  indexOf(desc) {
+    const index = _.findIndex(this.rules, ['desc', desc]);
+    if (index < 0) {
+      throw `Unknown policy rule '${desc}'`;
+    }
+    return index;
+  }
+
+  /**
+   * Returns a middleware which overrides the action checked by the rules,
+   * for endpoints which don't follow the http method mapping (e.g POST /:resource/:id/revisions/:revision/restore)
+   *
+   * @param {string} action
+   * @returns
+   */
+  action(action) {
+    return (req, res, next) => {
+      req.ctx.action = action;
+      next();
+    }
   }
 
   middleware() {
     return async (req, res, next) => {
       let resolved = false;
 
+      req.ctx.action = actionOf(req);
+
       const allow = () => {
         if (!resolved) {
           resolved = true;
@@ -35,7 +109,10 @@ class Policies {
       }
 
       for (let i = 0; !resolved && i < this.rules.length; ++i) {
-        const { fn } = this.rules[i];
+        const { fn, resources } = this.rules[i];
+        if (resources && !_.includes(resources, req.params.resource)) {
+          continue;
+        }
         try {
           await fn(req, allow, deny);
         } catch (e) {
@@ -53,8 +130,6 @@ class Policies {
 }
 
 
-const policies = new Policies();
-
 const ACTION_MAP = {
   POST: 'create',
   GET: 'read',
@@ -62,53 +137,94 @@ const ACTION_MAP = {
   PUT: 'update'
 };
 
-policies.rule("We can access resources while testing", (req, allow, deny) => {
-  if (env() === "test" && config.testing.disableAuthentication) {
-    allow();
-  }
-});
+const actionOf = (req) => req.ctx.action || ACTION_MAP[req.method.toUpperCase()];
 
-// policies.rule("Reading an attachment is made public", (req, allow) => {
-//   console.log(req.baseUrl);
-// });
+/**
+ * Creates the policies of a pocket instance, with the default rules of the CMS
+ *
+ * @returns {Policies}
+ */
+function createPolicies() {
+  const policies = new Policies();
 
-policies.rule("A user is required to access cms resources", (req, allow, deny) => {
-  if (!req.ctx.user) {
-    throw UNAUTHORIZED;
-  }
-});
+  policies.rule("We can access resources while testing", (req, allow, deny) => {
+    if (env() === "test" && config.testing.disableAuthentication) {
+      allow();
+    }
+  });
 
-policies.rule("Admins have all access", (req, allow) => {
-  if (req.ctx.user.isAdmin()) {
-    allow();
-  }
-});
+  policies.rule("Anonymous requests are only accepted on the resources and actions opened to the anonymous group", async (req, allow, deny) => {
+    const { ctx: { user, pocket }, params } = req;
+    if (!user.isAnonymous()) {
+      return;
+    }
+    const action = actionOf(req);
+    const schema = pocket.schemaOf(params.resource);
+    if (!(schema && schema.userIsAllowed(user, action)) && !(await user.isAllowed(action, params.resource))) {
+      throw UNAUTHORIZED;
+    }
+  });
 
-policies.rule("Private CMS resources are not accessible by non-admins", (req, allow, deny) => {
-  const { ctx: { user }, params } = req;
-  if (!user.isAdmin() && /^_/.test(params.resource)) {
-    deny();
-  }
-});
+  policies.rule("API keys can only be used on the resources and actions they are scoped to", (req, allow, deny) => {
+    const { ctx: { user }, params } = req;
+    if (_.isFunction(user.inScope) && !user.inScope(actionOf(req), params.resource)) {
+      deny();
+    }
+  });
 
-policies.rule("User can access resource if his/her group is whitelisted by the schema", (req, allow, deny) => {
-  const pocket    = req.ctx.pocket;
-  const resource  = req.params.resource;
-  const action    = ACTION_MAP[req.method.toUpperCase()];
-  const schema    = pocket.schemaOf(resource);
+  policies.rule("Admins have all access", (req, allow) => {
+    if (req.ctx.user.isAdmin()) {
+      allow();
+    }
+  });
 
-  if (schema && schema.userIsAllowed(req.ctx.user, action)) {
-    allow();
-  }
-});
+  policies.rule("Non-admins can only write records on their own behalf (/users/:userId/:resource)", (req, allow, deny) => {
+    const { ctx: { user }, params } = req;
+    if (params.userId && params.userId !== user.id && actionOf(req) !== 'read') {
+      deny();
+    }
+  });
 
-policies.rule("User can access resource if his group has permission", async (req, allow, deny) => {
-  const resource  = req.params.resource;
-  const action    = ACTION_MAP[req.method.toUpperCase()];
+  policies.rule("Private records can only be read by their owner (/users/:userId/:resource)", (req, allow, deny) => {
+    const { ctx: { user, pocket }, params } = req;
+    const schema = pocket.schemaOf(params.resource);
+    if (params.userId && params.userId !== user.id && schema && schema.option("ownership") === OWNERSHIP.PRIVATE) {
+      deny();
+    }
+  });
 
-  if (await req.ctx.user.isAllowed(action, resource)) {
-    allow();
-  }
-});
+  policies.rule("Private CMS resources are not accessible by non-admins", (req, allow, deny) => {
+    const { ctx: { user }, params } = req;
+    if (!user.isAdmin() && /^_/.test(params.resource)) {
+      deny();
+    }
+  });
 
-module.exports = policies;
\ No newline at end of file
+  policies.rule("User can access resource if his/her group is whitelisted by the schema", (req, allow, deny) => {
+    const pocket    = req.ctx.pocket;
+    const resource  = req.params.resource;
+    const action    = actionOf(req);
+    const schema    = pocket.schemaOf(resource);
+
+    if (schema && schema.userIsAllowed(req.ctx.user, action)) {
+      allow();
+    }
+  });
+
+  policies.rule("User can access resource if his group has permission", async (req, allow, deny) => {
+    const resource  = req.params.resource;
+    const action    = actionOf(req);
+
+    if (await req.ctx.user.isAllowed(action, resource)) {
+      allow();
+    }
+  });
+
+  return policies;
+}
+
+module.exports = {
+  Policies,
+  createPolicies,
+  actionOf
+};
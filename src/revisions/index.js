@@ -0,0 +1,130 @@
+const _                  = require("lodash");
+const Schema             = require("../schema");
+const { diff }           = require("../utils/objects");
+
+// Properties which change on every save and are not worth tracking
+const UNTRACKED_PROPERTIES = [
+    "_updatedAt"
+];
+
+// Number of times a revision is stored again when a concurrent change took its number
+const MAX_ATTEMPTS = 5;
+
+// Unique index violations of the disk and mongo stores
+const isConflict = (e) => !!e && (e.errorType === "uniqueViolated" || e.code === 11000);
+
+/**
+ * Keeps a history of the changes made to the records of versioned resources
+ *
+ * Revisions are stored in the private _revisions resource
+ *
+ * @class RevisionManager
+ */
+class RevisionManager {
+
+    constructor(pocket) {
+        this.pocket     = pocket;
+        this.resource   = pocket.resource("_revisions", new Schema({
+            fields: {
+                resource: {
+                    type: "string",
+                    required: true,
+                    index: true
+                },
+                record: {
+                    type: "string",
+                    required: true,
+                    index: true
+                },
+                revision: {
+                    type: "number",
+                    required: true
+                },
+                // <resource>/<record>/<revision>, the stores only support unique indexes on a single field
+                key: {
+                    type: "string",
+                    index: {
+                        unique: true
+                    }
+                },
+                author: "string",
+                snapshot: "object",
+                diff: "object"
+            }
+        }));
+    }
+
+    /**
+     * Stores a new revision of the record
+     *
+     * @param {string} resourceName
+     * @param {object} record the new state of the record
+     * @param {object} [opts={}]
+     * @param {object} [opts.previous] the state of the record before the change
+     * @param {string} [opts.author] id of the user who made the change
+     * @returns {Promise<object>} the revision
+     * @memberof RevisionManager
+     */
+    async track(resourceName, record, opts = {}) {
+        const { previous = null, author = null } = opts;
+
+        for (let attempt = 1; ; ++attempt) {
+            const [ last ] = await this.resource.find({
+                resource: resourceName,
+                record: record._id
+            }, { sort: "-revision", pageSize: 1 });
+            const revision = last ? last.revision + 1 : 1;
+
+            try {
+                return await this.resource.create({
+                    resource:   resourceName,
+                    record:     record._id,
+                    revision,
+                    key:        `${resourceName}/${record._id}/${revision}`,
+                    author:     author || undefined,
+                    snapshot:   _.cloneDeep(record),
+                    diff:       diff(previous, record, UNTRACKED_PROPERTIES)
+                }, { userId: author, skipValidation: true });
+            } catch (e) {
+                // A concurrent change of the record was stored with the same revision number
+                if (!isConflict(e) || attempt >= MAX_ATTEMPTS) {
+                    throw e;
+                }
+            }
+        }
+    }
+
+    /**
+     * Returns the revisions of a record, latest first
+     *
+     * @param {string} resourceName
+     * @param {string} recordId
+     * @returns {Promise<object[]>}
+     * @memberof RevisionManager
+     */
+    history(resourceName, recordId) {
+        return this.resource.find({
+            resource: resourceName,
+            record: recordId
+        }, { sort: "-revision" });
+    }
+
+    /**
+     * Returns a single revision of a record, or null
+     *
+     * @param {string} resourceName
+     * @param {string} recordId
+     * @param {number} revision
+     * @returns {Promise<object>}
+     * @memberof RevisionManager
+     */
+    get(resourceName, recordId, revision) {
+        return this.resource.findOne({
+            resource: resourceName,
+            record: recordId,
+            revision: Number(revision)
+        });
+    }
+}
+
+module.exports = { RevisionManager };
@@ -11,6 +11,30 @@ const ACTION_ALIASES = {
   'get': 'read'
 };
 
+// ---- Custom types
+
+BaseSchema.registerType('ref', {
+  options: {
+    'resource': 'Name of the referenced resource',
+    'many?': 'If true, the field holds a list of references'
+  },
+  aliases: [
+    'reference'
+  ],
+  validate(data, field) {
+    if (field.many) {
+      if (!_.isArray(data) || !_.every(data, _.isString)) {
+        return `Property '${field.path}' should be a list of record ids`;
+      }
+      return null;
+    }
+    if (!_.isString(data)) {
+      return `Property '${field.path}' should be a record id`;
+    }
+    return null;
+  }
+});
+
 class Schema extends BaseSchema {
   constructor() {
     super(...arguments);
@@ -18,6 +42,17 @@ class Schema extends BaseSchema {
     this.permissions = {};
   }
 
+  /**
+   * Returns a schema level option (e.g versioning)
+   *
+   * @param {string} name
+   * @param {*} [defaultValue]
+   * @returns {*}
+   */
+  option(name, defaultValue) {
+    return _.get(this.properties, name, defaultValue);
+  }
+
   indices() {
     return _.chain(this.fields)
       .filter('index')
@@ -30,6 +65,24 @@ class Schema extends BaseSchema {
       .value();
   }
 
+  /**
+   * Returns the fields referencing other resources
+   *
+   * @returns {Array} a list of { field, resource, many }
+   */
+  references() {
+    return _.chain(this.fields)
+      .filter(f => BaseSchema.getType(f.type) === BaseSchema.getType('ref'))
+      .map(({ name, resource, many }) => {
+        return {
+          field: name,
+          resource,
+          many: !!many
+        };
+      })
+      .value();
+  }
+
   //
   // ---- ACL
   //
@@ -55,13 +108,17 @@ class Schema extends BaseSchema {
   deny(group, actions) {
     const rights = this.permissions[group] || [];
     this._trimActions(actions)
-      .forEach(actions, action => {
+      .forEach(action => {
         _.remove(rights, (r) => _.eq(r, action));
       });
     this.permissions[group] = _.uniq(rights);
   }
 
   userIsAllowed(user, action) {
+    if (user.isAnonymous && user.isAnonymous()) {
+      // The wildcard only stands for the groups of authenticated users
+      return !!_.find(user.groups, g => _.includes(this.permissions[g], action));
+    }
     return !!_.find(user.groups, g => this.groupIsAllowed(g, action));
   }
 
@@ -75,6 +132,24 @@ class Schema extends BaseSchema {
     return _.includes(rights, action)
   }
 
+  /**
+   * Returns the fields the groups are not allowed to read or write
+   * Fields are restricted to a list of groups with their access option, e.g
+   *
+   * notes: { type: "text", access: { read: [ "editors" ], write: [ "editors" ] } }
+   *
+   * @param {string[]} groups
+   * @param {string} action either 'read' or 'write'
+   * @returns {string[]} the field names
+   */
+  restrictedFields(groups, action) {
+    return _.chain(this.fields)
+      .filter(f => _.isArray(_.get(f, ['access', action])))
+      .reject(f => _.some(groups, g => _.includes(f.access[action], g)))
+      .map('name')
+      .value();
+  }
+
   //
   // ---- HOOKS
   //
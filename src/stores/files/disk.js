@@ -79,7 +79,11 @@ class DiskStore {
                     .then(resolve)
                     .catch(reject);
             });
-            istream.on('error', reject);
+            istream.on('error', (err) => {
+                // Removes the partially written file, once it has been closed
+                ostream.once('close', () => fs.unlink(outputFilepath, () => reject(err)));
+                ostream.destroy();
+            });
         });
     }
 
@@ -118,12 +122,13 @@ class DiskStore {
      *
      *
      * @param {String} filename
+     * @param {Object} [range] { start, end } byte offsets (inclusive) to only read a part of the file
      * @returns {Stream}
      * @memberof DiskStore
      */
-    stream(filename) {
+    stream(filename, range) {
         let filepath  = path.join(this.uploadFolder, filename);
-        return fs.createReadStream(filepath);
+        return fs.createReadStream(filepath, _.pick(range, ['start', 'end']));
     }
 
     /**
@@ -143,6 +148,36 @@ class DiskStore {
         });
     }
 
+    /**
+     * Lists the stored files
+     *
+     * @returns {Promise<object[]>} a list of { file, createdAt }
+     * @memberof DiskStore
+     */
+    async list() {
+        const readdir   = promisify(fs.readdir, fs);
+        const getStats  = promisify(fs.stat, fs);
+        const files     = [];
+
+        for (let file of await readdir(this.uploadFolder)) {
+            const stats = await getStats(path.join(this.uploadFolder, file));
+            if (stats.isFile()) {
+                files.push({ file, createdAt: stats.mtimeMs });
+            }
+        }
+        return files;
+    }
+
+    /**
+     * Whether every file of the store belongs to pocket, the upload folder is dedicated to it
+     *
+     * @returns {boolean}
+     * @memberof DiskStore
+     */
+    isExclusive() {
+        return true;
+    }
+
     async ready() {
         return true;
     }
@@ -0,0 +1,219 @@
+const _                = require('lodash');
+const Q                = require('q');
+const uuid             = require('uuid/v1');
+const fs               = require('fs');
+const { GridFSBucket } = require('mongodb');
+const { promisify }    = require('../../utils/helpers');
+const { MAGIC_BYTES }  = require('../../utils/uploads');
+const MongoAdapter     = require('../json/mongo');
+const {
+    MAGIC_MIME_TYPE,
+    Magic }        = require('mmmagic');
+
+/**
+ * File store saving the files in the mongo database, with GridFS
+ *
+ * It shares the connection of the mongo datastore, which is therefore required
+ *
+ * @export
+ * @class GridFSStore
+ */
+class GridFSStore {
+
+    /**
+     * Creates an instance of GridFSStore.
+     *
+     * @param {object} options
+     * @param {string} [options.bucketName='uploads'] prefix of the GridFS collections
+     * @param {number} [options.chunkSizeBytes] size of the chunks the files are split into, 255kB by default
+     * @param {Pocket} pocket
+     * @memberof GridFSStore
+     */
+    constructor(options = {}, pocket) {
+        const jsonStore = pocket && pocket.jsonStore;
+
+        if (!(jsonStore instanceof MongoAdapter)) {
+            throw "The gridfs file store requires the mongo datastore";
+        }
+
+        this.options = _.extend({ bucketName: 'uploads' }, options);
+        this.jsonStore = jsonStore;
+        this.bucket = null;
+        this.initialization = jsonStore.ready().then(() => {
+            this.bucket = new GridFSBucket(jsonStore.db, _.pick(this.options, ['bucketName', 'chunkSizeBytes']));
+            return true;
+        });
+    }
+
+    // ---- Helpers
+
+    _stampFilename(name) {
+        return `${uuid()}-${name}`;
+    }
+
+    _isStream(stream) {
+        return stream != null
+            && _.isObject(stream)
+            && _.isFunction(stream.pipe);
+    }
+
+    _files() {
+        return this.jsonStore.db.collection(`${this.options.bucketName}.files`);
+    }
+
+    _getMimeType(head) {
+        const magic = new Magic(MAGIC_MIME_TYPE);
+        return promisify(magic.detect, magic)(head);
+    }
+
+    // ---- API
+
+    /**
+     * Saves the incoming stream into GridFS
+     *
+     * The mime type is detected from the first bytes of the stream, and saved once the upload is complete
+     *
+     * @param {String} filename
+     * @param {Stream} istream
+     * @returns {Promise<object>} the metadata of the file { file, mimeType, size, createdAt }
+     * @memberof GridFSStore
+     */
+    async saveStream(filename, istream) {
+        const file = this._stampFilename(filename);
+        const head = [];
+        let headLength = 0;
+
+        const { _id, length } = await Q.Promise((resolve, reject) => {
+            let ostream = null;
+
+            // Listening synchronously, the input stream may fail before the store is ready
+            istream.on('error', err => {
+                if (ostream) {
+                    ostream.abort(_.noop);
+                }
+                reject(err);
+            });
+
+            this.ready()
+                .then(() => {
+                    ostream = this.bucket.openUploadStream(file);
+                    istream.on('data', chunk => {
+                        if (headLength < MAGIC_BYTES) {
+                            head.push(chunk);
+                            headLength += chunk.length;
+                        }
+                    });
+                    ostream.on('error', reject);
+                    ostream.on('finish', resolve);
+                    istream.pipe(ostream);
+                })
+                .catch(reject);
+        });
+
+        const mimeType = await this._getMimeType(Buffer.concat(head).slice(0, MAGIC_BYTES));
+        await this._files().updateOne({ _id }, { $set: { contentType: mimeType } });
+
+        return { file, mimeType, size: length, createdAt: _.now() };
+    }
+
+    /**
+     *
+     *
+     * @param {String} filename
+     * @param {String} filepath
+     * @memberof GridFSStore
+     */
+    saveFile(filename, filepath) {
+        try {
+            let istream = fs.createReadStream(filepath);
+            return this.saveStream(filename, istream);
+        } catch (e) {
+            return Q.reject(e);
+        }
+    }
+
+    /**
+     *
+     * @param {String} filename
+     * @param {String|Stream} streamOrFile
+     */
+    save(filename, streamOrFile) {
+        if (_.isString(streamOrFile)) {
+            return this.saveFile(filename, streamOrFile);
+        }
+        if (this._isStream(streamOrFile)) {
+            return this.saveStream(filename, streamOrFile);
+        }
+        return Q.reject("Bad stream or file");
+    }
+
+    /**
+     * Returns a stream of the file, which emits an error if it does not exist
+     *
+     * @param {String} filename
+     * @param {Object} [range] { start, end } byte offsets (inclusive) to only read a part of the file
+     * @returns {Stream}
+     * @memberof GridFSStore
+     */
+    stream(filename, range) {
+        const options = {};
+        if (range) {
+            // GridFS stops reading before the end offset
+            options.start = range.start;
+            options.end = range.end + 1;
+        }
+        return this.bucket.openDownloadStreamByName(filename, options);
+    }
+
+    /**
+     * Deletes the file, and all its chunks
+     *
+     * @param {String} filename
+     * @memberof GridFSStore
+     */
+    async delete(filename) {
+        const docs = await this.bucket.find({ filename }).toArray();
+
+        if (!docs.length) {
+            throw new Error(`FileNotFound: file ${filename} was not found`);
+        }
+
+        const remove = promisify(this.bucket.delete, this.bucket);
+        for (const { _id } of docs) {
+            await remove(_id);
+        }
+    }
+
+    /**
+     * Lists the stored files
+     *
+     * @returns {Promise<object[]>} a list of { file, createdAt }
+     * @memberof GridFSStore
+     */
+    async list() {
+        await this.ready();
+
+        const docs = await this.bucket.find({}).project({ filename: 1, uploadDate: 1 }).toArray();
+        return _.map(docs, ({ filename, uploadDate }) => ({ file: filename, createdAt: uploadDate.getTime() }));
+    }
+
+    /**
+     * Whether every file of the store belongs to pocket, the bucket is dedicated to it
+     *
+     * @returns {boolean}
+     * @memberof GridFSStore
+     */
+    isExclusive() {
+        return true;
+    }
+
+    ready() {
+        return this.initialization;
+    }
+
+    async close() {
+        // The connection is closed by the mongo datastore
+    }
+}
+
+module.exports = GridFSStore;
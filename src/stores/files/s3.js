@@ -0,0 +1,461 @@
+const os               = require('os');
+const fs               = require('fs');
+const path             = require('path');
+const http             = require('http');
+const https            = require('https');
+const nodeCrypto       = require('crypto');
+const assert           = require('assert');
+const _                = require('lodash');
+const Q                = require('q');
+const uuid             = require('uuid/v1');
+const { URL }          = require('url');
+const { PassThrough }  = require('stream');
+const { promisify }    = require('../../utils/helpers');
+const {
+    MAGIC_MIME_TYPE,
+    Magic }        = require('mmmagic');
+
+const EMPTY_PAYLOAD_HASH = nodeCrypto.createHash('sha256').update('').digest('hex');
+
+const sha256 = (value) => nodeCrypto.createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => nodeCrypto.createHmac('sha256', key).update(value).digest();
+
+// RFC 3986 encoding required by the canonical requests
+const encode = (str) => encodeURIComponent(str).replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+
+/**
+ * File store saving the files in a bucket of an S3 compatible object storage (AWS S3, MinIO, ...)
+ *
+ * Requests are signed with AWS Signature Version 4. Uploads are buffered in a temporary file,
+ * to detect their mime type and to know their size before sending them
+ *
+ * @export
+ * @class S3Store
+ */
+class S3Store {
+
+    /**
+     * Creates an instance of S3Store.
+     *
+     * @param {object} options
+     * @param {string} options.bucket
+     * @param {string} options.accessKeyId
+     * @param {string} options.secretAccessKey
+     * @param {string} [options.sessionToken] for temporary credentials
+     * @param {string} [options.region='us-east-1']
+     * @param {string} [options.endpoint] url of the storage, defaults to AWS S3 in the region
+     * @param {boolean} [options.pathStyle] puts the bucket in the path instead of the host, enabled by default with a custom endpoint
+     * @param {string} [options.prefix=''] prepended to the keys of the files
+     * @param {number} [options.timeout=30000] in milliseconds
+     * @memberof S3Store
+     */
+    constructor(options = {}) {
+        assert.ok(options.bucket, "The S3 bucket should be provided (cfg.bucket)");
+        assert.ok(options.accessKeyId && options.secretAccessKey, "The S3 credentials should be provided (cfg.accessKeyId, cfg.secretAccessKey)");
+
+        this.options = _.extend({
+            region: 'us-east-1',
+            prefix: '',
+            timeout: 30000,
+            pathStyle: !!options.endpoint
+        }, options);
+
+        this.endpoint = new URL(options.endpoint || `https://s3.${this.options.region}.amazonaws.com`);
+        this.initialization = null;
+    }
+
+    // ---- Helpers
+
+    _stampFilename(name) {
+        return `${uuid()}-${name}`;
+    }
+
+    _isStream(stream) {
+        return stream != null
+            && _.isObject(stream)
+            && _.isFunction(stream.pipe);
+    }
+
+    /**
+     * Returns the host and path of an object of the bucket
+     *
+     * @param {string} [key] the bucket itself if omitted
+     * @returns {{ host: string, path: string }}
+     * @memberof S3Store
+     */
+    _locate(key) {
+        const { bucket, prefix, pathStyle } = this.options;
+        const basePath  = _.trimEnd(this.endpoint.pathname, '/');
+        const segments  = _.isNil(key) ? [] : (prefix + key).split('/').map(encode);
+
+        if (pathStyle) {
+            return {
+                host: this.endpoint.host,
+                path: [ basePath, encode(bucket), ...segments ].join('/') || '/'
+            };
+        }
+        return {
+            host: `${bucket}.${this.endpoint.host}`,
+            path: basePath + '/' + segments.join('/')
+        };
+    }
+
+    /**
+     * Sends a signed request to the storage
+     *
+     * @param {string} method
+     * @param {string} [key]
+     * @param {object} [opts={}]
+     * @param {object} [opts.headers]
+     * @param {object} [opts.query] parameters of the query string
+     * @param {Stream} [opts.body]
+     * @param {string} [opts.payloadHash] sha256 of the body
+     * @returns {Promise<IncomingMessage>} the response, which should be consumed
+     * @memberof S3Store
+     */
+    _send(method, key, opts = {}) {
+        const { accessKeyId, secretAccessKey, sessionToken, region, timeout } = this.options;
+        const { host, path: urlPath } = this._locate(key);
+
+        const headers = _.extend({}, opts.headers, {
+            'host': host,
+            'x-amz-content-sha256': opts.payloadHash || EMPTY_PAYLOAD_HASH,
+            'x-amz-date': new Date().toISOString().replace(/[:-]|\.\d{3}/g, '')
+        });
+        if (sessionToken) {
+            headers['x-amz-security-token'] = sessionToken;
+        }
+        const query = opts.query || {};
+        headers['authorization'] = S3Store.sign({ method, path: urlPath, query, headers, accessKeyId, secretAccessKey, region });
+
+        const client    = this.endpoint.protocol === 'https:' ? https : http;
+        const deferred  = Q.defer();
+
+        const req = client.request({
+            protocol:   this.endpoint.protocol,
+            hostname:   this.options.pathStyle ? this.endpoint.hostname : `${this.options.bucket}.${this.endpoint.hostname}`,
+            port:       this.endpoint.port,
+            method,
+            path:       _.isEmpty(query) ? urlPath : `${urlPath}?${S3Store.canonicalQuery(query)}`,
+            headers
+        }, res => deferred.resolve(res));
+
+        req.setTimeout(timeout, () => {
+            req.abort();
+            deferred.reject(new Error(`Request to ${host} timed out after ${timeout}ms`));
+        });
+        req.on('error', err => deferred.reject(err));
+
+        if (opts.body) {
+            opts.body.on('error', err => {
+                req.abort();
+                deferred.reject(err);
+            });
+            opts.body.pipe(req);
+        } else {
+            req.end();
+        }
+
+        return deferred.promise;
+    }
+
+    /**
+     * Reads the response of a request, and rejects if it failed
+     *
+     * @param {IncomingMessage} res
+     * @returns {Promise<string>} the body of the response
+     * @memberof S3Store
+     */
+    _consume(res) {
+        return Q.Promise((resolve, reject) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('error', reject);
+            res.on('end', () => {
+                const body = Buffer.concat(chunks).toString();
+                if (res.statusCode >= 200 && res.statusCode < 300) {
+                    return resolve(body);
+                }
+                const [ , code = res.statusCode ] = body.match(/<Code>(.*)<\/Code>/) || [];
+                reject(new Error(`S3 request failed with ${code}`));
+            });
+        });
+    }
+
+    /**
+     * Writes a stream to a temporary file, and computes its size, hash and mime type
+     *
+     * @param {Stream} istream
+     * @returns {Promise<{ filepath, size, hash, mimeType }>}
+     * @memberof S3Store
+     */
+    _buffer(istream) {
+        const filepath = path.join(os.tmpdir(), `pocket-${uuid()}`);
+
+        return Q.Promise((resolve, reject) => {
+            const hash      = nodeCrypto.createHash('sha256');
+            const ostream   = fs.createWriteStream(filepath);
+            let size        = 0;
+
+            istream.on('data', chunk => {
+                hash.update(chunk);
+                size += chunk.length;
+            });
+            istream.on('error', err => {
+                // The temporary file is removed once it has been closed
+                ostream.once('close', () => reject(err));
+                ostream.destroy();
+            });
+            ostream.on('error', reject);
+            ostream.on('finish', () => resolve({ filepath, size, hash: hash.digest('hex') }));
+            istream.pipe(ostream);
+        })
+        .then(buffered => {
+            const magic = new Magic(MAGIC_MIME_TYPE);
+            return promisify(magic.detectFile, magic)(filepath)
+                .then(mimeType => _.extend(buffered, { mimeType }));
+        })
+        .catch(err => {
+            fs.unlink(filepath, _.noop);
+            throw err;
+        });
+    }
+
+    // ---- API
+
+    /**
+     * Uploads the incoming stream to the bucket
+     *
+     * @param {String} filename
+     * @param {Stream} istream
+     * @returns {Promise<object>} the metadata of the file { file, mimeType, size, createdAt }
+     * @memberof S3Store
+     */
+    async saveStream(filename, istream) {
+        const file = this._stampFilename(filename);
+        const { filepath, size, hash, mimeType } = await this._buffer(istream);
+
+        try {
+            const res = await this._send('PUT', file, {
+                headers: {
+                    'content-length': size,
+                    'content-type': mimeType
+                },
+                body: fs.createReadStream(filepath),
+                payloadHash: hash
+            });
+            await this._consume(res);
+        } finally {
+            fs.unlink(filepath, _.noop);
+        }
+
+        return { file, mimeType, size, createdAt: _.now() };
+    }
+
+    /**
+     *
+     *
+     * @param {String} filename
+     * @param {String} filepath
+     * @memberof S3Store
+     */
+    saveFile(filename, filepath) {
+        try {
+            let istream = fs.createReadStream(filepath);
+            return this.saveStream(filename, istream);
+        } catch (e) {
+            return Q.reject(e);
+        }
+    }
+
+    /**
+     *
+     * @param {String} filename
+     * @param {String|Stream} streamOrFile
+     */
+    save(filename, streamOrFile) {
+        if (_.isString(streamOrFile)) {
+            return this.saveFile(filename, streamOrFile);
+        }
+        if (this._isStream(streamOrFile)) {
+            return this.saveStream(filename, streamOrFile);
+        }
+        return Q.reject("Bad stream or file");
+    }
+
+    /**
+     * Returns a stream of the file, which emits an error if it cannot be downloaded
+     *
+     * @param {String} filename
+     * @param {Object} [range] { start, end } byte offsets (inclusive) to only read a part of the file
+     * @returns {Stream}
+     * @memberof S3Store
+     */
+    stream(filename, range) {
+        const ostream = new PassThrough();
+        const headers = {};
+        if (range) {
+            headers['range'] = `bytes=${range.start}-${range.end}`;
+        }
+
+        this._send('GET', filename, { headers })
+            .then(res => {
+                if (res.statusCode >= 300) {
+                    return this._consume(res).catch(err => ostream.emit('error', err));
+                }
+                res.on('error', err => ostream.emit('error', err));
+                res.pipe(ostream);
+            })
+            .catch(err => ostream.emit('error', err));
+
+        return ostream;
+    }
+
+    /**
+     *
+     *
+     * @param {String} filename
+     * @memberof S3Store
+     */
+    async delete(filename) {
+        const res = await this._send('DELETE', filename);
+        await this._consume(res);
+    }
+
+    /**
+     * Lists the stored files, with the ListObjectsV2 api
+     *
+     * @returns {Promise<object[]>} a list of { file, createdAt }
+     * @memberof S3Store
+     */
+    async list() {
+        const { prefix } = this.options;
+        const files = [];
+        let token = null;
+
+        do {
+            const query = { 'list-type': 2, 'prefix': prefix };
+            if (token) {
+                query['continuation-token'] = token;
+            }
+
+            const body = await this._consume(await this._send('GET', null, { query }));
+            const contents = body.match(/<Contents>[\s\S]*?<\/Contents>/g) || [];
+
+            for (let content of contents) {
+                const [ , key ] = content.match(/<Key>(.*?)<\/Key>/);
+                const [ , lastModified ] = content.match(/<LastModified>(.*?)<\/LastModified>/);
+                files.push({
+                    file: _.unescape(key).substr(prefix.length),
+                    createdAt: Date.parse(lastModified)
+                });
+            }
+
+            const truncated = /<IsTruncated>true<\/IsTruncated>/.test(body);
+            token = truncated ? _.unescape(body.match(/<NextContinuationToken>(.*?)<\/NextContinuationToken>/)[1]) : null;
+        } while (token);
+
+        return files;
+    }
+
+    /**
+     * Whether every file of the store belongs to pocket. Without a prefix, the bucket may be shared with other applications
+     *
+     * @returns {boolean}
+     * @memberof S3Store
+     */
+    isExclusive() {
+        return !!this.options.prefix;
+    }
+
+    /**
+     * Checks that the bucket is reachable
+     *
+     * @returns {Promise<boolean>}
+     * @memberof S3Store
+     */
+    ready() {
+        if (!this.initialization) {
+            this.initialization = this._send('HEAD')
+                .then(res => this._consume(res))
+                .then(() => true)
+                .catch(err => {
+                    this.initialization = null;
+                    throw err;
+                });
+        }
+        return this.initialization;
+    }
+
+    async close() {
+        // noop
+    }
+
+    /**
+     * Computes the Authorization header of a request (AWS Signature Version 4)
+     *
+     * @static
+     * @param {object} params
+     * @param {string} params.method
+     * @param {string} params.path the encoded path of the request
+     * @param {object} [params.query] parameters of the query string
+     * @param {object} params.headers all the headers to sign, including host, x-amz-date and x-amz-content-sha256
+     * @param {string} params.accessKeyId
+     * @param {string} params.secretAccessKey
+     * @param {string} params.region
+     * @returns {string}
+     * @memberof S3Store
+     */
+    static sign({ method, path, query = {}, headers, accessKeyId, secretAccessKey, region }) {
+        const amzDate   = headers['x-amz-date'];
+        const date      = amzDate.substr(0, 8);
+        const scope     = `${date}/${region}/s3/aws4_request`;
+
+        const names = _.chain(headers).keys().map(_.toLower).sortBy().value();
+        const values = _.mapKeys(headers, (v, k) => k.toLowerCase());
+        const signedHeaders = names.join(';');
+
+        const canonicalRequest = [
+            method,
+            path,
+            S3Store.canonicalQuery(query),
+            ...names.map(name => `${name}:${String(values[name]).trim().replace(/\s+/g, ' ')}`),
+            '',
+            signedHeaders,
+            values['x-amz-content-sha256']
+        ].join('\n');
+
+        const stringToSign = [
+            'AWS4-HMAC-SHA256',
+            amzDate,
+            scope,
+            sha256(canonicalRequest)
+        ].join('\n');
+
+        const signingKey = [ date, region, 's3', 'aws4_request' ]
+            .reduce((key, part) => hmac(key, part), 'AWS4' + secretAccessKey);
+        const signature = nodeCrypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+        return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope},SignedHeaders=${signedHeaders},Signature=${signature}`;
+    }
+
+    /**
+     * Returns the query string of the parameters, encoded and sorted as required by the signature
+     *
+     * @static
+     * @param {object} query
+     * @returns {string}
+     * @memberof S3Store
+     */
+    static canonicalQuery(query) {
+        return _.chain(query)
+            .toPairs()
+            .map(([ key, value ]) => [ encode(key), encode(String(value)) ])
+            .sortBy([ 0, 1 ])
+            .map(pair => pair.join('='))
+            .join('&')
+            .value();
+    }
+}
+
+module.exports = S3Store;
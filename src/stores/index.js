@@ -1,5 +1,7 @@
 const  _                = require("lodash");
-const  FileStore        = require("./files/disk");
+const  DiskStore        = require("./files/disk");
+const  S3Store          = require("./files/s3");
+const  GridFSStore      = require("./files/gridfs");
 const  DiskAdapter      = require("./json/disk");
 const  MongoAdapter     = require('./json/mongo');
 
@@ -8,6 +10,12 @@ const adapters = {
     'mongo': MongoAdapter
 };
 
+const fileAdapters = {
+    'disk': DiskStore,
+    's3': S3Store,
+    'gridfs': GridFSStore
+};
+
 function createJsonStore(pocket) {
     const { datastore: { adapter, options } } = pocket.config();
     const Adapter = adapters[adapter]
@@ -16,7 +24,14 @@ function createJsonStore(pocket) {
 };
 
 function createFileStore(pocket) {
-    return new FileStore(pocket.config().filestore.options)
+    const { filestore: { adapter, options } } = pocket.config();
+    const Adapter = fileAdapters[adapter || 'disk'];
+
+    if (!Adapter) {
+        throw `Unknown file store adapter ${adapter}`;
+    }
+
+    return new Adapter(options, pocket);
 };
 
-module.exports = { createJsonStore, createFileStore }
\ No newline at end of file
+module.exports = { createJsonStore, createFileStore, adapters, fileAdapters }
\ No newline at end of file
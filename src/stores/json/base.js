@@ -16,11 +16,12 @@ class BaseAdapter {
   }
 
   /**
-   *
+   * Iterate over records
    *
    * @param {*} collection
    * @param {*} query
    * @param {*} opts
+   * @param {object} opts.sort
    * @memberof BaseAdapter
    */
   each(collection, query, opts) {
@@ -35,6 +36,8 @@ class BaseAdapter {
    * @param {object} opts
    * @param {number} opts.skip
    * @param {number} opts.limit
+   * @param {object} opts.sort map of field names to sort directions (1 or -1)
+   * @param {object} opts.projection map of the field names to return e.g { title: 1 }
    * @returns
    * @memberof DiskAdapter
    */
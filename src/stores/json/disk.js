@@ -49,13 +49,18 @@ class DiskAdapter extends BaseAdapter {
    * @param {object} opts
    * @param {number} opts.skip
    * @param {number} opts.limit
+   * @param {object} opts.sort map of field names to sort directions (1 or -1)
+   * @param {object} opts.projection map of the field names to return e.g { title: 1 }
    * @returns
    * @memberof DiskAdapter
    */
-  find(collection, query, opts) {
+  find(collection, query, opts = {}) {
     let db = this._getDB(collection);
-    let transaction = db.find(query);
+    let transaction = db.find(query, opts.projection || {});
 
+    if (opts.sort) {
+      transaction = transaction.sort(opts.sort);
+    }
     if (_.isNumber(opts.skip)) {
       transaction = transaction.skip(opts.skip);
     }
@@ -57,6 +57,8 @@ class MongoAdapter extends BaseAdapter {
    * @param {object} opts
    * @param {number} opts.skip
    * @param {number} opts.limit
+   * @param {object} opts.sort map of field names to sort directions (1 or -1)
+   * @param {object} opts.projection map of the field names to return e.g { title: 1 }
    * @returns
    * @memberof DiskAdapter
    */
@@ -64,6 +66,12 @@ class MongoAdapter extends BaseAdapter {
     let store = this.db.collection(collection);
     let transaction = store.find(query);
 
+    if (opts.projection) {
+      transaction = transaction.project(opts.projection);
+    }
+    if (opts.sort) {
+      transaction = transaction.sort(opts.sort);
+    }
     if (_.isNumber(opts.skip)) {
       transaction = transaction.skip(opts.skip);
     }
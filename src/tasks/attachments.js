@@ -0,0 +1,63 @@
+const _             = require("lodash");
+const defaultConfig = require("../utils/config");
+const logger        = require("../utils/logger");
+
+/**
+ * Reconciles the file store with the attachments of the records of every resource (including the ones in the trash),
+ * and reports or removes the stored files no record refers to
+ *
+ * Files are only removed if the store is exclusive to pocket, e.g an S3 bucket may be shared with other applications
+ *
+ * Files uploaded less than orphansGracePeriod seconds ago are ignored, their record may not have been updated yet
+ *
+ * @param {Pocket} pocket
+ * @returns {Promise<string[]>} the orphaned files
+ */
+async function collectAttachments(pocket) {
+    const { orphans, orphansGracePeriod } = _.extend({}, defaultConfig.attachments, pocket.config().attachments);
+
+    if (!orphans) {
+        return [];
+    }
+
+    // The files of the other applications sharing the store would be removed along with the orphaned files
+    let remove = orphans === "remove";
+    if (remove && !pocket.fileStore.isExclusive()) {
+        logger.warn("[Attachments] Orphaned files are only reported, as the file store may be shared with other applications");
+        remove = false;
+    }
+
+    const referenced = new Set();
+    for (let resource of _.values(pocket.resources)) {
+        await resource.store.ready();
+
+        const records = await resource.store.find(resource.name, {}, { projection: { _attachments: 1 } });
+        for (let record of records) {
+            _.each(record._attachments, ({ file }) => referenced.add(file));
+        }
+    }
+
+    await pocket.fileStore.ready();
+
+    const uploadedBefore = Date.now() - orphansGracePeriod * 1000;
+    const orphaned = _.chain(await pocket.fileStore.list())
+        .filter(({ file, createdAt }) => createdAt <= uploadedBefore && !referenced.has(file))
+        .map('file')
+        .value();
+
+    if (!remove) {
+        _.each(orphaned, file => logger.warn(`[Attachments] ${file} is not attached to any record`));
+        return orphaned;
+    }
+
+    for (let file of orphaned) {
+        await pocket.fileStore.delete(file);
+    }
+    return orphaned;
+}
+
+module.exports = function(pocket) {
+    return pocket.cron.every(1, 'days').do('Attachments cleanup', () => collectAttachments(pocket));
+};
+
+module.exports.collectAttachments = collectAttachments;
@@ -0,0 +1,21 @@
+const trash       = require("./trash");
+const publishing  = require("./publishing");
+const webhooks    = require("./webhooks");
+const sessions    = require("./sessions");
+const attachments = require("./attachments");
+
+/**
+ * Registers the periodic maintenance tasks of Pocket
+ *
+ * @param {Pocket} pocket
+ * @returns {Task[]}
+ */
+module.exports = function(pocket) {
+    return [
+        trash(pocket),
+        publishing(pocket),
+        webhooks(pocket),
+        sessions(pocket),
+        attachments(pocket)
+    ];
+};
@@ -0,0 +1,23 @@
+const _ = require("lodash");
+
+/**
+ * Publishes the scheduled records of every publishable resource once their publication date has passed
+ *
+ * @param {Pocket} pocket
+ * @returns {Promise<number>} the number of published records
+ */
+async function publishScheduled(pocket) {
+    let total = 0;
+    for (let resource of _.values(pocket.resources)) {
+        if (resource.isPublishable()) {
+            total += await resource.publishScheduled();
+        }
+    }
+    return total;
+}
+
+module.exports = function(pocket) {
+    return pocket.cron.every(1, 'minutes').do('Scheduled publishing', () => publishScheduled(pocket));
+};
+
+module.exports.publishScheduled = publishScheduled;
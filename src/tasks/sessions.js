@@ -0,0 +1,14 @@
+/**
+ * Deletes the login sessions which have expired or were revoked, the outdated failed login attempts
+ * and the logins through external providers which were never completed
+ *
+ * @param {Pocket} pocket
+ * @returns {Task}
+ */
+module.exports = function(pocket) {
+    return pocket.cron.every(1, 'days').do('Session cleanup', async () => {
+        await pocket.sessions.prune();
+        await pocket.throttle.prune();
+        await pocket.providers.prune();
+    });
+};
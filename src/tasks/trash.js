@@ -0,0 +1,32 @@
+const _ = require("lodash");
+
+/**
+ * Permanently deletes the soft deleted records which have been in the trash
+ * for longer than the configured retention period
+ *
+ * @param {Pocket} pocket
+ * @returns {Promise<number>} the number of deleted records
+ */
+async function purgeTrash(pocket) {
+    const { retention } = pocket.config().trash || {};
+
+    if (!_.isFinite(retention)) {
+        return 0;
+    }
+
+    const deletedBefore = Date.now() - retention * 1000;
+
+    let total = 0;
+    for (let resource of _.values(pocket.resources)) {
+        if (resource.isSoftDeletable()) {
+            total += await resource.purge({ _deletedAt: { $lte: deletedBefore } });
+        }
+    }
+    return total;
+}
+
+module.exports = function(pocket) {
+    return pocket.cron.every(1, 'hours').do('Trash purge', () => purgeTrash(pocket));
+};
+
+module.exports.purgeTrash = purgeTrash;
@@ -0,0 +1,9 @@
+/**
+ * Retries the webhook deliveries which previously failed
+ *
+ * @param {Pocket} pocket
+ * @returns {Task}
+ */
+module.exports = function(pocket) {
+    return pocket.cron.every(1, 'minutes').do('Webhook retries', () => pocket.webhooks.retryPending());
+};
@@ -4,15 +4,22 @@ const _                    = require("lodash")
 const jwt                  = require("jsonwebtoken")
 const config               = require("./utils/config")
 const Schema               = require('./schema')
+const logger               = require("./utils/logger")
 const {
+    Error,
     FORBIDDEN,
+    INVALID_PASSWORD,
+    INVALID_RESET_TOKEN,
     INVALID_USER_GROUP,
     INVALID_USERNAME_PW,
+    RESOURCE_NOT_FOUND,
     SESSION_EXPIRED,
     USERNAME_TAKEN,
     UNAUTHORIZED,
     INTERNAL_ERROR }   = require("./utils/errors")
 
+const ACTIONS = [ "read", "create", "update", "remove" ];
+
 const DEFAULT_PERMISSIONS = {
     ALL_ACCESS: { "*" : [ 'read', 'create', 'update', 'remove' ] },
     READ_ONLY: { "*" : [ 'read' ] },
@@ -33,6 +40,8 @@ class User {
         this.hash               = null;
         this.username           = null;
         this.groups             = null;
+        // Set when the user was authenticated with an access token
+        this.sessionId          = null;
     }
 
     toPlainObject() {
@@ -43,12 +52,20 @@ class User {
         };
     }
 
-    jwt() {
-        const secret = this.config.session.secret;
-        const payload = _.extend({}, this.toPlainObject(), { timestamp: _.now() });
-        return jwt.sign(payload, secret, {
-            expiresIn: config.session.expiresIn
-        });
+    /**
+     * Signs an access token for the user
+     * Tokens are only accepted as long as the session they belong to is active, see SessionManager
+     *
+     * @param {string} sessionId the session the token belongs to, see SessionManager.open
+     * @returns {string}
+     */
+    jwt(sessionId) {
+        if (!sessionId) {
+            throw new Error(500, "Access tokens can only be signed for a session");
+        }
+        const { secret, expiresIn } = _.extend({}, config.session, this.config.session);
+        const payload = _.extend({}, this.toPlainObject(), { sid: sessionId, timestamp: _.now() });
+        return jwt.sign(payload, secret, { expiresIn });
     }
 
     async save() {
@@ -96,6 +113,51 @@ class User {
     isAdmin() {
         return this.userManager.isAdmin(this);
     }
+
+    /**
+     * Checks whether the credentials of the user are restricted to a subset of the resources/actions
+     * Regular users are never restricted, see ApiKeyUser
+     *
+     * @param {string} action
+     * @param {string} resourceName
+     * @returns {boolean}
+     */
+    inScope(action, resourceName) {
+        return true;
+    }
+
+    isAnonymous() {
+        return false;
+    }
+}
+
+/**
+ * Principal of the requests made without credentials
+ *
+ * It is only granted the permissions of the anonymous group, and the actions schemas allow to that group
+ *
+ * @class AnonymousUser
+ * @extends {User}
+ */
+class AnonymousUser extends User {
+
+    constructor(userManager, config) {
+        super(userManager, config);
+        this.username   = "anonymous";
+        this.groups     = [ userManager.Groups.ANONYMOUS ];
+    }
+
+    jwt() {
+        throw UNAUTHORIZED;
+    }
+
+    async save() {
+        throw new Error(400, "The anonymous user cannot be saved");
+    }
+
+    isAnonymous() {
+        return true;
+    }
 }
 
 class UserManager {
@@ -140,7 +202,7 @@ class UserManager {
             const groups    = record.groups || [];
 
             for (var g of groups) {
-                if (!_.includes(allGroups, g)) {
+                if (!_.includes(allGroups, g) || g === this.Groups.ANONYMOUS) {
                     throw INVALID_USER_GROUP;
                 }
             }
@@ -151,13 +213,34 @@ class UserManager {
             }
         }));
 
+        // One-time tokens used to reset forgotten passwords
+        this.resets = pocket.resource("_resets", new Schema({
+            fields: {
+                user: {
+                    type: "string",
+                    required: true,
+                    index: true
+                },
+                expiresAt: "timestamp"
+            }
+        })
+        .after('read', async ({ records, options = {} }) => {
+            if (!options.rawObject) {
+                _.each(records, r => {
+                    delete r.hash;
+                });
+            }
+        }));
+
         this.initializePromise = this.initializeGroups();
     }
 
     get Groups() {
         return {
-            ADMINS: "admins",
-            USERS:  "users"
+            ADMINS:     "admins",
+            USERS:      "users",
+            // Requests made without credentials, cannot have members
+            ANONYMOUS:  "anonymous"
         }
     }
 
@@ -180,6 +263,10 @@ class UserManager {
             {
                 name: 'users',
                 permissions: DEFAULT_PERMISSIONS.READ_ONLY
+            },
+            {
+                name: 'anonymous',
+                permissions: DEFAULT_PERMISSIONS.NO_PERMISSIONS
             }
         ];
 
@@ -202,9 +289,10 @@ class UserManager {
                 }
             },
         })
-        .before('remove', ({ record }) => {
+        .before('remove', async ({ query }) => {
             const notToDelete = _.map(baseGroups, 'name');
-            if (_.includes(notToDelete, record.name)) {
+            const records = await this.groupDB.find(query);
+            if (_.some(records, r => _.includes(notToDelete, r.name))) {
                 throw FORBIDDEN;
             }
         });
@@ -224,6 +312,208 @@ class UserManager {
         return this.pocket.resource('_groups').findAll();
     }
 
+    isBuiltInGroup(name) {
+        return _.includes(_.values(this.Groups), name);
+    }
+
+    /**
+     * Returns a group by name
+     *
+     * @param {string} name
+     * @returns {Promise<object>}
+     * @memberof UserManager
+     */
+    async getGroup(name) {
+        const group = await this.groupDB.findOne({ name });
+        if (!group) {
+            throw RESOURCE_NOT_FOUND;
+        }
+        return group;
+    }
+
+    /**
+     * Creates a new group
+     *
+     * @param {string} name
+     * @param {object} [permissions={}] map of resource names (or "*") to the allowed actions
+     * @returns {Promise<object>} the group
+     * @memberof UserManager
+     */
+    async createGroup(name, permissions = {}) {
+        if (!_.isString(name) || _.isEmpty(name)) {
+            throw new Error(400, "Invalid group name");
+        }
+        _.each(permissions, (actions, resourceName) => this.validatePermission(resourceName, actions));
+
+        if (await this.groupDB.findOne({ name })) {
+            throw new Error(409, `Group ${name} already exists`);
+        }
+        return this.groupDB.create({ name, permissions });
+    }
+
+    /**
+     * Renames a group, the users and API keys of the group are moved to the new name
+     * The built-in groups cannot be renamed
+     *
+     * @param {string} name
+     * @param {string} newName
+     * @returns {Promise<object>} the group
+     * @memberof UserManager
+     */
+    async renameGroup(name, newName) {
+        const group = await this.getGroup(name);
+        if (this.isBuiltInGroup(name)) {
+            throw FORBIDDEN;
+        }
+        if (!_.isString(newName) || _.isEmpty(newName)) {
+            throw new Error(400, "Invalid group name");
+        }
+        if (newName === name) {
+            return group;
+        }
+        if (await this.groupDB.findOne({ name: newName })) {
+            throw new Error(409, `Group ${newName} already exists`);
+        }
+
+        const renamed = await this.groupDB.mergeOne(group._id, { name: newName });
+        await this.moveMembers(name, newName);
+        return renamed;
+    }
+
+    /**
+     * Deletes a group, and removes its users and API keys from it
+     * The built-in groups cannot be deleted
+     *
+     * @param {string} name
+     * @returns {Promise}
+     * @memberof UserManager
+     */
+    async removeGroup(name) {
+        const group = await this.getGroup(name);
+        if (this.isBuiltInGroup(name)) {
+            throw FORBIDDEN;
+        }
+        await this.groupDB.removeOne(group._id);
+        await this.moveMembers(name, null);
+    }
+
+    /**
+     * Moves the users and API keys of a group to another one
+     *
+     * @param {string} name
+     * @param {string} [newName] the members are only removed from the group if omitted
+     * @returns {Promise}
+     * @memberof UserManager
+     */
+    async moveMembers(name, newName) {
+        for (let resource of [ this.resource, this.pocket.apikeys.resource ]) {
+            const records = await resource.find({ groups: name });
+            for (let record of records) {
+                const groups = _.uniq(_.without(record.groups, name).concat(newName ? [ newName ] : []));
+                await resource.updateOne(record._id, { $set: { groups } });
+            }
+        }
+    }
+
+    /**
+     * Checks that a resource exists and that the actions are valid
+     *
+     * @param {string} resourceName a resource name or "*"
+     * @param {string[]} actions
+     * @memberof UserManager
+     */
+    validatePermission(resourceName, actions) {
+        if (resourceName !== "*" && !this.pocket.resource(resourceName)) {
+            throw new Error(400, `Unknown resource ${resourceName}`);
+        }
+        if (!_.isArray(actions) || _.some(actions, a => !_.includes(ACTIONS, a))) {
+            throw new Error(400, `Invalid actions, expected a list of ${ACTIONS.join(", ")}`);
+        }
+    }
+
+    /**
+     * Allows a group to perform actions on a resource
+     *
+     * @param {string} name the group
+     * @param {string} resourceName a resource name or "*"
+     * @param {string[]} actions
+     * @returns {Promise<object>} the group
+     * @memberof UserManager
+     */
+    async grant(name, resourceName, actions) {
+        const group = await this.getGroup(name);
+        if (this.isAdminGroup(name)) {
+            // Admins are allowed everything already
+            throw FORBIDDEN;
+        }
+        this.validatePermission(resourceName, actions);
+
+        const permissions = _.extend({}, group.permissions);
+        permissions[resourceName] = _.union(permissions[resourceName], actions);
+        return this.groupDB.mergeOne(group._id, { permissions });
+    }
+
+    /**
+     * Prevents a group from performing actions on a resource
+     *
+     * @param {string} name the group
+     * @param {string} resourceName a resource name or "*"
+     * @param {string[]} [actions] all the actions if omitted
+     * @returns {Promise<object>} the group
+     * @memberof UserManager
+     */
+    async revoke(name, resourceName, actions = ACTIONS) {
+        const group = await this.getGroup(name);
+        if (this.isAdminGroup(name)) {
+            throw FORBIDDEN;
+        }
+        this.validatePermission(resourceName, actions);
+
+        const permissions = _.extend({}, group.permissions);
+        permissions[resourceName] = _.difference(permissions[resourceName], actions);
+        if (_.isEmpty(permissions[resourceName])) {
+            delete permissions[resourceName];
+        }
+        return this.groupDB.mergeOne(group._id, { permissions });
+    }
+
+    /**
+     * Adds a user to a group
+     *
+     * @param {string} name the group
+     * @param {string} userId
+     * @returns {Promise<object>} the user
+     * @memberof UserManager
+     */
+    async addToGroup(name, userId) {
+        await this.getGroup(name);
+        return this.resource.updateOne(userId, { $addToSet: { groups: name } });
+    }
+
+    /**
+     * Removes a user from a group
+     * The last admin cannot be removed from the admins group
+     *
+     * @param {string} name the group
+     * @param {string} userId
+     * @returns {Promise<object>} the user
+     * @memberof UserManager
+     */
+    async removeFromGroup(name, userId) {
+        await this.getGroup(name);
+        if (this.isAdminGroup(name)) {
+            const admins = await this.getAdmins();
+            if (admins.length === 1 && admins[0].id === userId) {
+                throw new Error(403, "The last admin cannot be removed from the admins group");
+            }
+        }
+        const record = await this.resource.get(userId);
+        if (!record) {
+            throw RESOURCE_NOT_FOUND;
+        }
+        return this.resource.updateOne(userId, { $set: { groups: _.without(record.groups, name) } });
+    }
+
     hashPassword(password) {
         return crypto.hash(password)
     }
@@ -236,7 +526,8 @@ class UserManager {
      */
     async auth(username, password) {
         const userRecord = await this.resource.findOne({ username }, { rawObject: true });
-        if (!userRecord) throw INVALID_USERNAME_PW;
+        // Users of external providers have no password
+        if (!userRecord || !userRecord.hash) throw INVALID_USERNAME_PW;
 
         const valid = await crypto.compare(password, userRecord.hash);
         if (!valid) throw INVALID_USERNAME_PW;
@@ -250,6 +541,120 @@ class UserManager {
         return user;
     }
 
+    /**
+     * Replaces the password of a user
+     *
+     * @param {string} userId
+     * @param {string} password
+     * @returns {Promise}
+     * @memberof UserManager
+     */
+    async setPassword(userId, password) {
+        if (!_.isString(password) || _.isEmpty(password)) {
+            throw INVALID_PASSWORD;
+        }
+        const hash = await this.hashPassword(password);
+        return this.resource.mergeOne(userId, { hash });
+    }
+
+    /**
+     * Changes the password of a user, after verifying their current one
+     * The other sessions of the user are revoked
+     *
+     * @param {User} user
+     * @param {string} currentPassword
+     * @param {string} newPassword
+     * @returns {Promise}
+     * @memberof UserManager
+     */
+    async changePassword(user, currentPassword, newPassword) {
+        const record = await this.resource.get(user.id, { rawObject: true });
+        if (!record) {
+            throw UNAUTHORIZED;
+        }
+
+        const valid = !!record.hash && await crypto.compare(currentPassword || "", record.hash);
+        if (!valid) {
+            throw INVALID_PASSWORD;
+        }
+
+        await this.setPassword(user.id, newPassword);
+        await this.pocket.sessions.revokeAll(user.id, { except: user.sessionId });
+    }
+
+    /**
+     * Issues a one-time reset token and sends it to the user with the configured delivery function
+     * Nothing is sent if the user doesn't exist
+     *
+     * The token is issued in the background, so that the caller can't tell whether the user exists from
+     * the time it takes or from the errors of the delivery, which are only logged
+     *
+     * @param {string} username
+     * @returns {Promise}
+     * @memberof UserManager
+     */
+    async requestPasswordReset(username) {
+        const { expiresIn, deliver } = _.extend({}, config.passwordReset, this.config.passwordReset);
+        if (!_.isFunction(deliver)) {
+            throw new Error(501, "Password reset is not configured");
+        }
+
+        this.sendPasswordReset(username, { expiresIn, deliver }).catch(e => {
+            logger.error(`[USERS] Failed to send a password reset token`);
+            logger.error(e);
+        });
+    }
+
+    async sendPasswordReset(username, { expiresIn, deliver }) {
+        const record = await this.resource.findOne({ username });
+        if (!record) {
+            return;
+        }
+
+        const secret    = crypto.randomToken(32);
+        const expiresAt = Date.now() + expiresIn * 1000;
+        const reset     = await this.resets.create({
+            user: record._id,
+            hash: crypto.sha256(secret),
+            expiresAt
+        }, { skipValidation: true });
+
+        await deliver({
+            user: record,
+            token: `${reset._id}.${secret}`,
+            expiresAt
+        });
+    }
+
+    /**
+     * Sets a new password using a reset token
+     * The token can only be used once, and all the sessions of the user are revoked
+     *
+     * @param {string} token
+     * @param {string} password
+     * @returns {Promise}
+     * @memberof UserManager
+     */
+    async resetPassword(token, password) {
+        const [ resetId, secret ] = _.split(token, ".", 2);
+        if (!resetId || !secret) {
+            throw INVALID_RESET_TOKEN;
+        }
+
+        const reset = await this.resets.get(resetId, { rawObject: true });
+        if (!reset || !crypto.safeEqual(reset.hash, crypto.sha256(secret))) {
+            throw INVALID_RESET_TOKEN;
+        }
+        if (reset.expiresAt <= Date.now()) {
+            await this.resets.removeOne(resetId);
+            throw INVALID_RESET_TOKEN;
+        }
+
+        await this.setPassword(reset.user, password);
+        await this.resets.remove({ user: reset.user });
+        await this.pocket.sessions.revokeAll(reset.user);
+    }
+
     /**
      * Creates a new user (does not save it)
      *
@@ -291,6 +696,16 @@ class UserManager {
         return user;
     }
 
+    /**
+     * Returns the principal of a request made without credentials
+     *
+     * @returns {AnonymousUser}
+     * @memberof UserManager
+     */
+    anonymous() {
+        return new AnonymousUser(this, this.config);
+    }
+
     /**
      * Returns the list of admins
      *
@@ -327,6 +742,7 @@ class UserManager {
 
     /**
      * Returns the user associated with the JWT or null
+     * The token is rejected if its session has expired or was revoked
      *
      * @static
      * @param {*} token
@@ -334,7 +750,7 @@ class UserManager {
      */
     fromJWT(token) {
         const deferred = Q.defer();
-        const secret = config.session.secret;
+        const { secret } = _.extend({}, config.session, this.config.session);
 
         jwt.verify(token, secret, (err, decoded = {}) => {
             if (err) {
@@ -349,10 +765,12 @@ class UserManager {
                 return deferred.reject(UNAUTHORIZED);
             }
 
-            this.resource.get(uid)
-                .then((user) => {
-                    if (user) {
-                        return deferred.resolve(this.fromRecord(user));
+            Q.all([ this.resource.get(uid), this.pocket.sessions.isActive(decoded.sid, uid) ])
+                .then(([ user, active ]) => {
+                    if (user && active) {
+                        const sessionUser = this.fromRecord(user);
+                        sessionUser.sessionId = decoded.sid;
+                        return deferred.resolve(sessionUser);
                     }
                     deferred.reject(UNAUTHORIZED);
                 })
@@ -365,4 +783,4 @@ class UserManager {
     }
 }
 
-module.exports = { User, UserManager };
\ No newline at end of file
+module.exports = { User, AnonymousUser, UserManager };
\ No newline at end of file
@@ -22,8 +22,46 @@ mkdirp.sync(cmsFolder);
 module.exports = {
     session: {
         secret: stringFromFile(secretFile, () => _.now().toString(24)),
-        expiresIn: day * 60
+        // Lifetime in seconds of the access tokens
+        expiresIn: 60 * 15,
+        // Lifetime in seconds of the sessions, during which access tokens can be refreshed
+        refreshExpiresIn: day * 60
     },
+    passwordReset: {
+        // Lifetime in seconds of the reset tokens
+        expiresIn: 3600,
+        // async function({ user, token, expiresAt }) sending the reset token to the user (e.g by email)
+        deliver: null
+    },
+    loginAttempts: {
+        // Failed attempts allowed before the responses get delayed
+        freeAttempts: 3,
+        // Delay in seconds after the first delayed attempt, doubled after each failure
+        delay: 1,
+        maxDelay: 30,
+        // Failed attempts before a username or an IP address gets locked
+        maxAttempts: 10,
+        maxAttemptsPerIp: 50,
+        // Number of seconds a username or an IP address stays locked
+        lockDuration: 60 * 15,
+        // Number of seconds after which failed attempts are forgotten
+        window: 3600
+    },
+    cors: {
+        // "*", an origin, a regex, a list of them, or a function(origin, req) returning a boolean. false disables CORS
+        origin: "*",
+        // Allows cookies and authorization headers, the origin of the request is sent back instead of "*"
+        credentials: false,
+        methods: [ "GET", "POST", "PUT", "DELETE", "OPTIONS" ],
+        allowedHeaders: [ "Origin", "X-Requested-With", "Content-Type", "Accept", "Authorization", "X-API-Key" ],
+        exposedHeaders: [ "Content-Length", "Content-Range", "Content-Disposition", "Accept-Ranges", "ETag", "X-Page", "X-Per-Page", "X-Total-Pages" ],
+        // Number of seconds the preflight responses can be cached for
+        maxAge: 600,
+        // Overrides of the policy by mount path, e.g { "/admin": { origin: false } }
+        mounts: {}
+    },
+    // External authentication providers, e.g { google: { type: "oidc", issuer, clientId, clientSecret, redirectUri } }
+    providers: {},
     datastore: {
         adapter: "disk",
         options: {
@@ -36,6 +74,31 @@ module.exports = {
             uploadFolder
         }
     },
+    attachments: {
+        // Cache-Control header of the attachment downloads, can be overridden with the attachments option of the schemas
+        cacheControl: "private, no-cache",
+        // Maximum size of the uploaded files in bytes (null for no limit)
+        maxSize: 50 * 1024 * 1024,
+        // Maximum number of attachments per record (null for no limit)
+        maxCount: null,
+        // Allowed mime types of the uploaded files, e.g ["image/*", "application/pdf"] (null to allow all of them)
+        mimeTypes: null,
+        // Stored files no record refers to are either "report"ed in the logs or "remove"d by a daily task (false to disable it)
+        orphans: "report",
+        // Number of seconds during which new files are not considered orphaned, as their record may not have been updated yet
+        orphansGracePeriod: 3600
+    },
+    trash: {
+        // Number of seconds soft deleted records are kept for (false to keep them forever)
+        retention: day * 30
+    },
+    webhooks: {
+        // Request timeout in seconds
+        timeout: 10,
+        maxAttempts: 5,
+        // Delay in seconds before retrying a failed delivery, doubled after each attempt
+        backoff: 30
+    },
     testing: {
         disableAuthentication: false
     }
@@ -0,0 +1,96 @@
+const _ = require("lodash");
+
+/**
+ * Returns the CORS policy of a path
+ *
+ * The overrides of the longest mount path matching the request are merged into the default policy
+ *
+ * @export
+ * @param {object} config the cors configuration
+ * @param {string} path
+ * @returns {object}
+ */
+function policyOf(config, path) {
+    const { mounts = {} } = config;
+    const base = _.omit(config, 'mounts');
+
+    const mount = _(mounts)
+        .keys()
+        .filter(prefix => path === prefix || _.startsWith(path, _.trimEnd(prefix, '/') + '/'))
+        .maxBy(prefix => prefix.length);
+
+    return mount ? _.extend(base, mounts[mount]) : base;
+}
+
+/**
+ * Checks whether an origin is allowed by the policy
+ *
+ * @export
+ * @param {string|RegExp|Array|function|boolean} allowed "*", an origin, a regex, a list of them, or a function(origin, req) returning a boolean
+ * @param {string} origin
+ * @param {Request} req
+ * @returns {boolean}
+ */
+function isAllowed(allowed, origin, req) {
+    if (_.isArray(allowed)) {
+        return _.some(allowed, a => isAllowed(a, origin, req));
+    }
+    if (_.isFunction(allowed)) {
+        return !!allowed(origin, req);
+    }
+    if (_.isRegExp(allowed)) {
+        return allowed.test(origin);
+    }
+    if (allowed === "*" || allowed === true) {
+        return true;
+    }
+    return _.isString(allowed) && allowed === origin;
+}
+
+/**
+ * Express middleware applying the CORS configuration, and answering preflight requests
+ *
+ * @export
+ * @param {object} config the cors configuration
+ * @returns {function}
+ */
+function cors(config) {
+    return (req, res, next) => {
+        const policy    = policyOf(config, req.path);
+        const origin    = req.get('origin');
+        const preflight = req.method === 'OPTIONS' && !!req.get('access-control-request-method');
+
+        if (!origin || !policy.origin || !isAllowed(policy.origin, origin, req)) {
+            res.vary('Origin');
+            return preflight ? res.sendStatus(204) : next();
+        }
+
+        if (policy.origin === "*" && !policy.credentials) {
+            res.header("Access-Control-Allow-Origin", "*");
+        } else {
+            res.header("Access-Control-Allow-Origin", origin);
+            res.vary('Origin');
+        }
+        if (policy.credentials) {
+            res.header("Access-Control-Allow-Credentials", "true");
+        }
+
+        if (!preflight) {
+            res.header("Access-Control-Expose-Headers", _.join(policy.exposedHeaders, ", "));
+            return next();
+        }
+
+        res.header("Access-Control-Allow-Methods", _.join(policy.methods, ", "));
+        res.header("Access-Control-Allow-Headers", _.join(policy.allowedHeaders, ", "));
+        if (_.isFinite(policy.maxAge)) {
+            res.header("Access-Control-Max-Age", String(policy.maxAge));
+        }
+        res.sendStatus(204);
+    };
+}
+
+module.exports = {
+    cors,
+    policyOf,
+    isAllowed
+};
@@ -55,20 +55,32 @@ class Task {
   }
 }
 
-const TASKS = [];
+/**
+ * Creates the schedule of a pocket instance, its tasks can be stopped without affecting the other instances
+ *
+ * @returns {{ every: function, stopAll: function }}
+ */
+function createCron() {
+  const tasks = [];
 
-module.exports = {
-  every(val, unit) {
-    return {
-      do: (name, fn) => {
-        const task = new Task(name, fn, val * units[unit]());
-        TASKS.push(task);
-        return task;
+  return {
+    every(val, unit) {
+      return {
+        do: (name, fn) => {
+          const task = new Task(name, fn, val * units[unit]());
+          tasks.push(task);
+          return task;
+        }
       }
+    },
+
+    stopAll() {
+      _.each(tasks, t => t.stop());
     }
-  },
+  };
+}
 
-  stopAll() {
-    _.each(TASKS, t => t.stop());
-  }
+module.exports = {
+  Task,
+  createCron
 };
@@ -1,4 +1,5 @@
 const bcrypt = require("bcrypt")
+const crypto = require("crypto")
 
 const SALT_ROUNDS = 3;
 
@@ -9,5 +10,38 @@ module.exports = {
 
   async compare(pw, hash) {
     return bcrypt.compare(pw, hash);
+  },
+
+  /**
+   * Returns a random hex string
+   *
+   * @param {number} [bytes=32]
+   * @returns {string}
+   */
+  randomToken(bytes = 32) {
+    return crypto.randomBytes(bytes).toString("hex");
+  },
+
+  /**
+   * Fast hash used for high entropy secrets (e.g API keys) which don't need a slow hashing algorithm
+   *
+   * @param {string} value
+   * @returns {string} the hex digest
+   */
+  sha256(value) {
+    return crypto.createHash("sha256").update(value).digest("hex");
+  },
+
+  /**
+   * Compares two strings in constant time
+   *
+   * @param {string} a
+   * @param {string} b
+   * @returns {boolean}
+   */
+  safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
   }
 }
\ No newline at end of file
@@ -74,4 +74,9 @@ exports.RESOURCE_NOT_FOUND     = new Error(404, "Resource not found");
 exports.FORBIDDEN              = new Error(403, "Forbidden");
 exports.UNAUTHORIZED           = new Error(401, "Unauthorized");
 exports.SESSION_EXPIRED        = new Error(401, "Session Expired");
-exports.MISSING_FILE           = new Error(400, "Missing file");
\ No newline at end of file
+exports.MISSING_FILE           = new Error(400, "Missing file");
+exports.INVALID_PASSWORD       = new Error(400, "Invalid password");
+exports.INVALID_RESET_TOKEN    = new Error(400, "Invalid or expired reset token");
+exports.INVALID_AUTHORIZATION  = new Error(400, "Invalid or expired authorization");
+exports.UNKNOWN_PROVIDER       = new Error(404, "Unknown authentication provider");
+exports.ACCOUNT_LOCKED         = new Error(423, "Too many failed attempts, please try again later");
@@ -0,0 +1,95 @@
+const  _       = require("lodash");
+const  http    = require("http");
+const  https   = require("https");
+const  Q       = require("q");
+const  { parse } = require("url");
+
+const DEFAULT_TIMEOUT = 10000;
+
+/**
+ * Minimal promise based HTTP client
+ *
+ * Resolves with the response regardless of its status code, and only rejects on network errors or timeouts
+ *
+ * @export
+ * @param {object} opts
+ * @param {string} opts.url
+ * @param {string} [opts.method='GET']
+ * @param {object} [opts.headers={}]
+ * @param {string|Buffer|object} [opts.body] objects are sent as JSON
+ * @param {number} [opts.timeout] in milliseconds
+ * @returns {Promise<{ status: number, headers: object, body: string }>}
+ */
+function request(opts) {
+    const {
+        url,
+        method  = 'GET',
+        headers = {},
+        timeout = DEFAULT_TIMEOUT
+    } = opts;
+
+    let body = opts.body;
+    const reqHeaders = _.extend({}, headers);
+
+    if (_.isPlainObject(body) || _.isArray(body)) {
+        body = JSON.stringify(body);
+        reqHeaders['content-type'] = reqHeaders['content-type'] || 'application/json';
+    }
+    if (!_.isNil(body)) {
+        reqHeaders['content-length'] = Buffer.byteLength(body);
+    }
+
+    const deferred  = Q.defer();
+    const target    = parse(url);
+    const client    = target.protocol === 'https:' ? https : http;
+
+    // Passing the url along with the options requires Node 10.9
+    const req = client.request(_.extend(target, { method, headers: reqHeaders }), (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('error', err => deferred.reject(err));
+        res.on('end', () => {
+            deferred.resolve({
+                status: res.statusCode,
+                headers: res.headers,
+                body: Buffer.concat(chunks).toString()
+            });
+        });
+    });
+
+    req.setTimeout(timeout, () => {
+        req.abort();
+        deferred.reject(new Error(`Request to ${target.host} timed out after ${timeout}ms`));
+    });
+    req.on('error', err => deferred.reject(err));
+
+    if (!_.isNil(body)) {
+        req.write(body);
+    }
+    req.end();
+
+    return deferred.promise;
+}
+
+/**
+ * Sends a JSON payload with a POST request
+ *
+ * @export
+ * @param {string} url
+ * @param {object} payload
+ * @param {object} [opts={}] see request
+ * @returns {Promise<{ status: number, headers: object, body: string }>}
+ */
+function postJSON(url, payload, opts = {}) {
+    return request(_.extend({}, opts, {
+        url,
+        method: 'POST',
+        body: JSON.stringify(payload),
+        headers: _.extend({ 'content-type': 'application/json' }, opts.headers)
+    }));
+}
+
+module.exports = {
+    request,
+    postJSON
+};
@@ -1,3 +1,5 @@
+ const _ = require('lodash');
+
  class ObjectWrapper {
 
   constructor(o) {
@@ -11,8 +13,35 @@
 
  }
 
+ /**
+  * Returns the properties which differ between two objects
+  *
+  * e.g diff({ a: 1, b: 2 }, { a: 1, b: 3 }) => { b: { from: 2, to: 3 } }
+  *
+  * @param {object} before
+  * @param {object} after
+  * @param {string[]} [ignore=[]] properties to leave out of the comparison
+  * @returns {object}
+  */
+ function diff(before, after, ignore = []) {
+  before = before || {};
+  after = after || {};
+
+  const keys = _.difference(_.union(_.keys(before), _.keys(after)), ignore);
+
+  return _.transform(keys, (changes, key) => {
+    if (!_.isEqual(before[key], after[key])) {
+      changes[key] = {
+        from: _.isUndefined(before[key]) ? null : before[key],
+        to: _.isUndefined(after[key]) ? null : after[key]
+      };
+    }
+  }, {});
+ }
+
  module.exports = {
   Wrap(o) {
     return new ObjectWrapper(o);
-  }
-};
\ No newline at end of file
+  },
+  diff
+};
@@ -0,0 +1,354 @@
+const  _              = require("lodash");
+const  { isNumeric }  = require("./helpers");
+const  { Error }      = require("./errors");
+
+// Operators which can be used from a query string.
+// Anything else (e.g $where, $regex) is rejected
+const COMPARISON_OPERATORS = [
+    '$eq',
+    '$ne',
+    '$gt',
+    '$gte',
+    '$lt',
+    '$lte',
+    '$in',
+    '$nin',
+    '$exists'
+];
+
+const LOGICAL_OPERATORS = [
+    '$and',
+    '$or'
+];
+
+const NUMERIC_TYPES = [ 'number', 'timestamp' ];
+const BOOLEAN_TYPES = [ 'boolean', 'checkbox' ];
+
+const NUMERIC_PROPERTIES = [ '_createdAt', '_updatedAt' ];
+
+// ---- Helpers
+
+function badQuery(message) {
+    return new Error(400, message);
+}
+
+function isOperator(key) {
+    return _.startsWith(key, '$');
+}
+
+function toBoolean(value) {
+    if (_.isBoolean(value)) {
+        return value;
+    }
+    if (value === 'true' || value === '1') {
+        return true;
+    }
+    if (value === 'false' || value === '0') {
+        return false;
+    }
+    throw badQuery(`Invalid boolean value '${value}'`);
+}
+
+function typeOf(path, schema) {
+    if (_.includes(NUMERIC_PROPERTIES, path)) {
+        return 'number';
+    }
+    const field = schema && _.find(schema.fields, ['name', path]);
+    return field && field.type;
+}
+
+/**
+ * Query strings only carry strings, we use the schema to restore the expected type of the value
+ *
+ * @param {*} value
+ * @param {string} type
+ * @returns
+ */
+function coerce(value, type) {
+    if (value === null || _.isNumber(value) || _.isBoolean(value)) {
+        return value;
+    }
+    if (!_.isString(value)) {
+        throw badQuery(`Invalid query value ${JSON.stringify(value)}`);
+    }
+    if (_.includes(NUMERIC_TYPES, type)) {
+        if (!isNumeric(value)) {
+            throw badQuery(`Invalid numeric value '${value}'`);
+        }
+        return Number(value);
+    }
+    if (_.includes(BOOLEAN_TYPES, type)) {
+        return toBoolean(value);
+    }
+    return value;
+}
+
+function toList(value) {
+    if (_.isString(value)) {
+        return value.split(',');
+    }
+    if (_.isArray(value)) {
+        return value;
+    }
+    // qs turns long arrays into objects indexed by position
+    if (_.isPlainObject(value)) {
+        return _.values(value);
+    }
+    throw badQuery(`Invalid list value ${JSON.stringify(value)}`);
+}
+
+function parseOperation(op, value, type) {
+    if (!_.includes(COMPARISON_OPERATORS, op)) {
+        throw badQuery(`Unsupported query operator '${op}'`);
+    }
+    if (op === '$exists') {
+        return toBoolean(value);
+    }
+    if (op === '$in' || op === '$nin') {
+        return _.map(toList(value), v => coerce(v, type));
+    }
+    return coerce(value, type);
+}
+
+function parseCondition(path, condition, schema, output) {
+    const type = typeOf(path, schema);
+
+    if (!_.isPlainObject(condition)) {
+        output[path] = coerce(condition, type);
+        return;
+    }
+
+    const keys = _.keys(condition);
+    const operators = _.filter(keys, isOperator);
+
+    if (operators.length === 0) {
+        // Nested properties are flattened into a dot notation path
+        _.each(condition, (subCondition, key) => {
+            parseCondition(`${path}.${key}`, subCondition, schema, output);
+        });
+        return;
+    }
+
+    if (operators.length !== keys.length) {
+        throw badQuery(`Operators and properties cannot be mixed for '${path}'`);
+    }
+
+    const operations = {};
+    _.each(condition, (value, op) => {
+        operations[op] = parseOperation(op, value, type);
+    });
+
+    // Not all adapters support $eq, we unwrap it when possible
+    if (_.has(operations, '$eq')) {
+        if (keys.length > 1) {
+            throw badQuery(`$eq cannot be combined with other operators for '${path}'`);
+        }
+        output[path] = operations.$eq;
+        return;
+    }
+
+    output[path] = operations;
+}
+
+// ---- API
+
+/**
+ * Transforms a filter coming from a query string into a datastore query
+ * Only a safe subset of operators is allowed, and values are converted to the type of their schema field
+ *
+ * e.g ?filter[price][$gt]=10&filter[tags][$in]=a,b
+ *
+ * @export
+ * @param {object|string} filter the parsed query string filter, or its JSON representation
+ * @param {Schema} [schema] the schema used to convert values
+ * @returns {object} a query that can be passed to Resource.find
+ */
+function parseFilter(filter, schema = null) {
+    if (filter === undefined || filter === null || filter === '') {
+        return {};
+    }
+
+    if (_.isString(filter)) {
+        try {
+            filter = JSON.parse(filter);
+        } catch (e) {
+            throw badQuery('Filter is not valid JSON');
+        }
+    }
+
+    if (!_.isPlainObject(filter)) {
+        throw badQuery('Filter should be an object');
+    }
+
+    const query = {};
+    _.each(filter, (condition, key) => {
+        if (_.includes(LOGICAL_OPERATORS, key)) {
+            query[key] = _.map(toList(condition), sub => parseFilter(sub, schema));
+            return;
+        }
+        if (isOperator(key)) {
+            throw badQuery(`Unsupported query operator '${key}'`);
+        }
+        parseCondition(key, condition, schema, query);
+    });
+
+    return query;
+}
+
+/**
+ * Normalizes a sort option into a map of fields to sort directions (1 or -1)
+ *
+ * Accepts a comma separated string (e.g '-_createdAt,title'), a list of field names,
+ * or an object (e.g { _createdAt: -1, title: 'asc' })
+ *
+ * @export
+ * @param {string|string[]|object} sort
+ * @returns {object|null} the sort map, or null if no sort was specified
+ */
+function parseSort(sort) {
+    if (sort === undefined || sort === null || sort === '') {
+        return null;
+    }
+
+    let entries = [];
+    if (_.isString(sort) || _.isArray(sort)) {
+        entries = _.chain(toList(sort))
+            .map(key => _.trim(key))
+            .compact()
+            .map(key => _.startsWith(key, '-') ? [ key.slice(1), -1 ] : [ _.trimStart(key, '+'), 1 ])
+            .value();
+    } else if (_.isPlainObject(sort)) {
+        entries = _.map(sort, (direction, key) => {
+            if (direction === 1 || direction === '1' || direction === 'asc') {
+                return [ key, 1 ];
+            }
+            if (direction === -1 || direction === '-1' || direction === 'desc') {
+                return [ key, -1 ];
+            }
+            throw badQuery(`Invalid sort direction '${direction}' for '${key}'`);
+        });
+    } else {
+        throw badQuery('Invalid sort option');
+    }
+
+    _.each(entries, ([ key ]) => {
+        if (!key || isOperator(key)) {
+            throw badQuery(`Invalid sort field '${key}'`);
+        }
+    });
+
+    return entries.length ? _.fromPairs(entries) : null;
+}
+
+function parseNames(names, label) {
+    if (names === undefined || names === null || names === '') {
+        return null;
+    }
+
+    if (!_.isString(names) && !_.isArray(names)) {
+        throw badQuery(`Invalid ${label} option`);
+    }
+
+    const list = _.chain(toList(names))
+        .map(n => _.isString(n) ? _.trim(n) : n)
+        .compact()
+        .uniq()
+        .value();
+
+    _.each(list, (n) => {
+        if (!_.isString(n) || isOperator(n)) {
+            throw badQuery(`Invalid ${label} '${n}'`);
+        }
+    });
+
+    return list.length ? list : null;
+}
+
+/**
+ * Normalizes a list of fields to return (sparse fieldset)
+ *
+ * @export
+ * @param {string|string[]} fields a comma separated string (e.g 'title,slug') or a list of field names
+ * @returns {string[]|null} the list of fields, or null if no fields were specified
+ */
+function parseFields(fields) {
+    return parseNames(fields, 'fields');
+}
+
+/**
+ * Normalizes a list of reference fields to populate
+ *
+ * @export
+ * @param {string|string[]} populate a comma separated string (e.g 'author,tags') or a list of field names
+ * @returns {string[]|null} the list of fields, or null if nothing should be populated
+ */
+function parsePopulate(populate) {
+    return parseNames(populate, 'populate');
+}
+
+/**
+ * Combines multiple queries into one which only matches the records satisfying all of them
+ *
+ * @export
+ * @param {...object} queries
+ * @returns {object}
+ */
+function and(...queries) {
+    const parts = _.reject(queries, _.isEmpty);
+    if (parts.length <= 1) {
+        return parts[0] || {};
+    }
+    return { $and: parts };
+}
+
+/**
+ * Moves the fields of a query (or a sort/projection map) under a parent property
+ * CMS properties (prefixed with an underscore) and operators are left untouched
+ *
+ * e.g prefixPaths({ title: 'a', _id: 'b' }, '_published') => { '_published.title': 'a', _id: 'b' }
+ *
+ * @export
+ * @param {object} query
+ * @param {string} parent
+ * @returns {object}
+ */
+function prefixPaths(query, parent) {
+    return _.reduce(query, (result, value, key) => {
+        if (_.includes(LOGICAL_OPERATORS, key)) {
+            result[key] = _.map(value, sub => prefixPaths(sub, parent));
+        } else if (isOperator(key) || _.startsWith(key, '_')) {
+            result[key] = value;
+        } else {
+            result[`${parent}.${key}`] = value;
+        }
+        return result;
+    }, {});
+}
+
+/**
+ * Lists the field paths a query filters on, including the ones nested in logical operators
+ *
+ * e.g queryPaths({ title: 'a', $or: [{ 'author.name': 'b' }] }) => [ 'title', 'author.name' ]
+ *
+ * @export
+ * @param {object} query
+ * @returns {string[]}
+ */
+function queryPaths(query) {
+    return _.flatMap(_.keys(query), key => {
+        if (isOperator(key)) {
+            return _.isArray(query[key]) ? _.flatMap(query[key], queryPaths) : [];
+        }
+        return [ key ];
+    });
+}
+
+module.exports = {
+    and,
+    prefixPaths,
+    queryPaths,
+    parseFilter,
+    parseSort,
+    parseFields,
+    parsePopulate
+};
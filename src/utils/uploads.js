@@ -0,0 +1,92 @@
+const _                = require("lodash");
+const { Transform }    = require("stream");
+const { promisify }    = require("./helpers");
+const { Error }        = require("./errors");
+const {
+    MAGIC_MIME_TYPE,
+    Magic }        = require('mmmagic');
+
+// Number of bytes read from the beginning of the files to detect their mime type, shared by the file stores detecting it on the fly
+const MAGIC_BYTES = 64 * 1024;
+
+/**
+ * Returns true if the mime type matches one of the patterns, which may end with a wildcard (e.g image/*)
+ *
+ * @param {string} mimeType
+ * @param {string|string[]} patterns
+ * @returns {boolean}
+ */
+function mimeTypeMatches(mimeType, patterns) {
+    return _.castArray(patterns).some(pattern => {
+        if (_.endsWith(pattern, '/*')) {
+            return _.startsWith(mimeType, pattern.slice(0, -1));
+        }
+        return pattern === mimeType;
+    });
+}
+
+/**
+ * Returns a stream forwarding the uploaded data, which fails with
+ *  - a 413 error once more than maxSize bytes have been read
+ *  - a 415 error if the mime type detected from the first bytes is not part of the allowed ones
+ *
+ * Nothing is forwarded before the mime type has been checked
+ *
+ * @param {Stream} istream
+ * @param {object} [rules={}]
+ * @param {number} [rules.maxSize] in bytes
+ * @param {string|string[]} [rules.mimeTypes] allowed mime types
+ * @returns {Stream}
+ */
+function constrain(istream, rules = {}) {
+    const { maxSize, mimeTypes } = rules;
+
+    let size    = 0;
+    let head    = mimeTypes ? [] : null;
+
+    const checkMimeType = async (stream) => {
+        const buffer = Buffer.concat(head);
+        head = null;
+
+        const magic = new Magic(MAGIC_MIME_TYPE);
+        const mimeType = await promisify(magic.detect, magic)(buffer);
+        if (!mimeTypeMatches(mimeType, mimeTypes)) {
+            throw new Error(415, `Unsupported file type ${mimeType}`);
+        }
+        stream.push(buffer);
+    };
+
+    const guard = new Transform({
+        transform(chunk, encoding, callback) {
+            size += chunk.length;
+            if (_.isFinite(maxSize) && size > maxSize) {
+                return callback(new Error(413, `File exceeds the maximum size of ${maxSize} bytes`));
+            }
+            if (!head) {
+                return callback(null, chunk);
+            }
+            head.push(chunk);
+            if (size < MAGIC_BYTES) {
+                return callback();
+            }
+            checkMimeType(this).then(() => callback(), callback);
+        },
+        flush(callback) {
+            if (!head) {
+                return callback();
+            }
+            checkMimeType(this).then(() => callback(), callback);
+        }
+    });
+
+    // Piping does not forward the errors of the upload
+    istream.on('error', err => guard.emit('error', err));
+
+    return istream.pipe(guard);
+}
+
+module.exports = {
+    MAGIC_BYTES,
+    mimeTypeMatches,
+    constrain
+};
@@ -0,0 +1,309 @@
+const _                  = require("lodash");
+const crypto             = require("crypto");
+const Schema             = require("../schema");
+const logger             = require("../utils/logger");
+const defaultConfig      = require("../utils/config");
+const { request }        = require("../utils/http");
+
+const EVENTS = [
+    "create",
+    "update",
+    "remove"
+];
+
+// Attachment changes are reported as updates of their record
+const ACTION_ALIASES = {
+    attach: "update",
+    deleteAttachment: "update"
+};
+
+// Properties of the records which are never sent, e.g the hashes of the passwords
+const SECRET_PROPERTIES = [
+    "hash"
+];
+
+const STATUS = {
+    PENDING: "pending",
+    SUCCESS: "success",
+    FAILED: "failed"
+};
+
+/**
+ * Signs a payload with the secret of a webhook
+ *
+ * @param {string} body
+ * @param {string} secret
+ * @returns {string} e.g sha256=ab12...
+ */
+function sign(body, secret) {
+    const digest = crypto.createHmac("sha256", secret || "").update(body).digest("hex");
+    return `sha256=${digest}`;
+}
+
+/**
+ * Sends the changes made to records to external HTTP endpoints
+ *
+ * Webhooks are registered in the private _webhooks resource,
+ * and every delivery attempt is logged in the private _deliveries resource
+ *
+ * @class WebhookManager
+ */
+class WebhookManager {
+
+    constructor(pocket) {
+        this.pocket         = pocket;
+        this.pending        = new Set();
+        // The webhooks are loaded once, and reloaded after they change
+        this.subscriptions  = null;
+
+        this.webhooks = pocket.resource("_webhooks", new Schema({
+            fields: {
+                url: {
+                    type: "string",
+                    required: true
+                },
+                // Names of the resources to watch, all of them if empty. Changes of private resources are never sent
+                resources: {
+                    type: "array",
+                    items: {
+                        type: "string"
+                    }
+                },
+                // Actions to watch, all of them if empty
+                events: {
+                    type: "multiselect",
+                    options: EVENTS
+                },
+                secret: "string",
+                enabled: {
+                    type: "checkbox",
+                    default: true
+                }
+            }
+        }));
+
+        this.deliveries = pocket.resource("_deliveries", new Schema({
+            fields: {
+                webhook: {
+                    type: "string",
+                    required: true,
+                    index: true
+                },
+                event: "string",
+                payload: "object",
+                status: {
+                    type: "select",
+                    options: _.values(STATUS),
+                    index: true
+                },
+                attempts: "number",
+                nextAttemptAt: "timestamp",
+                responseStatus: "number",
+                error: "string"
+            }
+        }));
+
+        pocket.on("change", (change) => {
+            if (change.resource === this.webhooks.name) {
+                this.invalidate();
+            }
+            const promise = this.dispatch(change)
+                .catch(e => {
+                    logger.error(`[WEBHOOKS] Failed to dispatch '${change.resource}.${change.action}'`);
+                    logger.error(e);
+                })
+                .then(() => this.pending.delete(promise));
+            this.pending.add(promise);
+        });
+    }
+
+    /**
+     * Returns the enabled webhooks listening to an action on a resource
+     *
+     * @param {string} resource
+     * @param {string} action
+     * @returns {Promise<object[]>}
+     * @memberof WebhookManager
+     */
+    async subscribers(resource, action) {
+        if (!this.subscriptions) {
+            const loading = this.subscriptions = this.webhooks.find();
+            // Loading is attempted again on the next change
+            loading.catch(() => {
+                if (this.subscriptions === loading) {
+                    this.invalidate();
+                }
+            });
+        }
+
+        const webhooks = await this.subscriptions;
+        return _.filter(webhooks, ({ enabled, resources, events }) => {
+            if (enabled === false) {
+                return false;
+            }
+            if (!_.isEmpty(resources) && !_.includes(resources, resource)) {
+                return false;
+            }
+            return _.isEmpty(events) || _.includes(events, action);
+        });
+    }
+
+    /**
+     * Forgets the loaded webhooks, they are loaded again on the next change
+     *
+     * @memberof WebhookManager
+     */
+    invalidate() {
+        this.subscriptions = null;
+    }
+
+    /**
+     * Returns the copy of a record sent to the webhooks,
+     * without its secret properties and the fields which aren't opened to the anonymous group
+     *
+     * @param {string} resource
+     * @param {object} record
+     * @returns {object}
+     * @memberof WebhookManager
+     */
+    payloadOf(resource, record) {
+        const schema = this.pocket.schemaOf(resource);
+        const hidden = schema ? schema.restrictedFields([], "read") : [];
+
+        const copy = _.omit(record, SECRET_PROPERTIES, hidden);
+        if (copy._published) {
+            copy._published = _.omit(copy._published, SECRET_PROPERTIES, hidden);
+        }
+        return copy;
+    }
+
+    /**
+     * Creates and sends a delivery for each webhook listening to a change
+     *
+     * @param {object} change a change event emitted by a resource
+     * @returns {Promise}
+     * @memberof WebhookManager
+     */
+    async dispatch(change) {
+        const { resource, record, previous } = change;
+        const action = ACTION_ALIASES[change.action] || change.action;
+
+        // Private resources (users, sessions, deliveries...) are never sent
+        if (/^_/.test(resource) || !_.includes(EVENTS, action)) {
+            return;
+        }
+
+        const webhooks = await this.subscribers(resource, action);
+        const event = `${resource}.${action}`;
+
+        for (let webhook of webhooks) {
+            const delivery = await this.deliveries.create({
+                webhook: webhook._id,
+                event,
+                payload: {
+                    event,
+                    resource,
+                    action,
+                    record: this.payloadOf(resource, record),
+                    previous: previous ? this.payloadOf(resource, previous) : null,
+                    timestamp: Date.now()
+                },
+                status: STATUS.PENDING,
+                attempts: 0,
+                nextAttemptAt: Date.now()
+            }, { skipValidation: true });
+
+            await this.deliver(delivery, webhook);
+        }
+    }
+
+    /**
+     * Sends a delivery to its webhook, and schedules a retry with an exponential backoff if it fails
+     *
+     * @param {object} delivery
+     * @param {object} webhook
+     * @returns {Promise<object>} the updated delivery
+     * @memberof WebhookManager
+     */
+    async deliver(delivery, webhook) {
+        const { timeout, maxAttempts, backoff } = _.extend({}, defaultConfig.webhooks, this.pocket.config().webhooks);
+        const body = JSON.stringify(_.extend({ id: delivery._id }, delivery.payload));
+        const attempts = (delivery.attempts || 0) + 1;
+        const result = { attempts, error: null };
+
+        try {
+            const res = await request({
+                url: webhook.url,
+                method: "POST",
+                body,
+                timeout: timeout * 1000,
+                headers: {
+                    "content-type": "application/json",
+                    "x-pocket-event": delivery.event,
+                    "x-pocket-delivery": delivery._id,
+                    "x-pocket-signature": sign(body, webhook.secret)
+                }
+            });
+            result.responseStatus = res.status;
+            if (res.status < 200 || res.status >= 300) {
+                result.error = `Unexpected response status ${res.status}`;
+            }
+        } catch (e) {
+            result.error = e.message;
+        }
+
+        if (!result.error) {
+            result.status = STATUS.SUCCESS;
+        } else if (attempts >= maxAttempts) {
+            result.status = STATUS.FAILED;
+        } else {
+            result.status = STATUS.PENDING;
+            result.nextAttemptAt = Date.now() + backoff * 1000 * Math.pow(2, attempts - 1);
+        }
+
+        return this.deliveries.mergeOne(delivery._id, result, { skipValidation: true });
+    }
+
+    /**
+     * Retries the failed deliveries which are due
+     *
+     * @returns {Promise<number>} the number of retried deliveries
+     * @memberof WebhookManager
+     */
+    async retryPending() {
+        const due = await this.deliveries.find({
+            status: STATUS.PENDING,
+            nextAttemptAt: { $lte: Date.now() }
+        });
+
+        for (let delivery of due) {
+            const webhook = await this.webhooks.get(delivery.webhook);
+            if (!webhook || webhook.enabled === false) {
+                await this.deliveries.mergeOne(delivery._id, {
+                    status: STATUS.FAILED,
+                    error: "Webhook is no longer available"
+                }, { skipValidation: true });
+                continue;
+            }
+            await this.deliver(delivery, webhook);
+        }
+
+        return due.length;
+    }
+
+    /**
+     * Resolves once the deliveries in progress are done
+     *
+     * @returns {Promise}
+     * @memberof WebhookManager
+     */
+    async flush() {
+        while (this.pending.size > 0) {
+            await Promise.all(Array.from(this.pending));
+        }
+    }
+}
+
+WebhookManager.sign = sign;
+
+module.exports = { WebhookManager };
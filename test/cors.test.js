@@ -0,0 +1,103 @@
+const _                = require("lodash");
+const express          = require("express");
+const request          = require("supertest");
+const { expect }       = require("chai");
+const config           = require("../src/utils/config");
+const testServer       = require("./utils/testServer");
+const { cors }         = require("../src/utils/cors");
+
+describe("CORS", () => {
+
+    function server(overrides) {
+        const app = express();
+        app.use(cors(_.extend({}, config.cors, overrides)));
+        app.use((req, res) => res.sendStatus(200));
+        return app;
+    }
+
+    function preflight(app, path, origin) {
+        return request(app)
+            .options(path)
+            .set('Origin', origin)
+            .set('Access-Control-Request-Method', 'POST');
+    }
+
+    it("Should allow any origin by default", async () => {
+        const app = testServer();
+
+        const { headers } = await preflight(app, "/rest/posts", "http://example.com").expect(204);
+        expect(headers["access-control-allow-origin"]).to.equal("*");
+        expect(headers["access-control-allow-methods"]).to.contain("POST");
+        expect(headers["access-control-allow-headers"]).to.contain("Authorization");
+        expect(headers["access-control-max-age"]).to.equal("600");
+
+        const res = await request(app)
+            .get("/users/providers")
+            .set('Origin', 'http://example.com')
+            .expect(200);
+        expect(res.headers["access-control-allow-origin"]).to.equal("*");
+        expect(res.headers["access-control-expose-headers"]).to.contain("X-Total-Pages");
+        expect(res.headers["access-control-expose-headers"]).to.contain("Content-Range");
+        expect(res.headers["access-control-expose-headers"]).to.contain("ETag");
+    });
+
+    it("Should still accept the OPTIONS requests which are not preflights", async () => {
+        const app = testServer();
+
+        const { headers } = await request(app)
+            .options("/rest/posts")
+            .set('Origin', 'http://example.com')
+            .expect(200);
+        expect(headers["access-control-allow-origin"]).to.equal("*");
+        expect(headers["access-control-allow-methods"]).to.be.undefined;
+    });
+
+    it("Should only allow the configured origins", async () => {
+        const app = server({
+            origin: [ "http://example.com", /\.example\.org$/, origin => origin === "http://localhost:8080" ]
+        });
+
+        for (let origin of [ "http://example.com", "https://cms.example.org", "http://localhost:8080" ]) {
+            const { headers } = await preflight(app, "/rest/posts", origin).expect(204);
+            expect(headers["access-control-allow-origin"]).to.equal(origin);
+            expect(headers["vary"]).to.contain("Origin");
+        }
+
+        const { headers } = await preflight(app, "/rest/posts", "http://evil.com").expect(204);
+        expect(headers["access-control-allow-origin"]).to.be.undefined;
+        expect(headers["access-control-allow-methods"]).to.be.undefined;
+    });
+
+    it("Should send back the origin when credentials are allowed", async () => {
+        const app = server({ credentials: true });
+
+        const { headers } = await request(app)
+            .get("/rest/posts")
+            .set('Origin', 'http://example.com')
+            .expect(200);
+        expect(headers["access-control-allow-origin"]).to.equal("http://example.com");
+        expect(headers["access-control-allow-credentials"]).to.equal("true");
+    });
+
+    it("Should apply the overrides of the mount paths", async () => {
+        const app = server({
+            mounts: {
+                "/admin": { origin: false },
+                "/users": { origin: "http://example.com", credentials: true }
+            }
+        });
+
+        let { headers } = await preflight(app, "/rest/posts", "http://other.com").expect(204);
+        expect(headers["access-control-allow-origin"]).to.equal("*");
+
+        ({ headers } = await preflight(app, "/admin/index.html", "http://other.com").expect(204));
+        expect(headers["access-control-allow-origin"]).to.be.undefined;
+
+        ({ headers } = await preflight(app, "/users/login", "http://other.com").expect(204));
+        expect(headers["access-control-allow-origin"]).to.be.undefined;
+
+        ({ headers } = await preflight(app, "/users/login", "http://example.com").expect(204));
+        expect(headers["access-control-allow-origin"]).to.equal("http://example.com");
+        expect(headers["access-control-allow-credentials"]).to.equal("true");
+    });
+});
@@ -0,0 +1,23 @@
+const { expect }       = require("chai");
+const { createCron }   = require("../src/utils/cron");
+
+describe("Cron", () => {
+
+    it("Should keep the tasks of each schedule apart", () => {
+        const first = createCron();
+        const second = createCron();
+
+        const firstTask = first.every(1, 'hours').do('First', () => {});
+        const secondTask = second.every(1, 'hours').do('Second', () => {});
+        firstTask.start();
+        secondTask.start();
+
+        try {
+            first.stopAll();
+            expect(firstTask.ref).to.be.null;
+            expect(secondTask.ref).not.to.be.null;
+        } finally {
+            second.stopAll();
+        }
+    });
+});
@@ -0,0 +1,113 @@
+const Mongod           = require("mongod");
+const fs               = require("fs");
+const path             = require("path");
+const Q                = require("q");
+const { expect }       = require("chai");
+const Pocket           = require("../src/pocket");
+const GridFSStore      = require("../src/stores/files/gridfs");
+const { isCI }         = require("../src/utils/helpers");
+const { fileAdapters } = require("../src/stores");
+
+describe("GridFS filestore", () => {
+
+    it("Should be registered as the gridfs adapter", () => {
+        expect(fileAdapters.gridfs).to.equal(GridFSStore);
+    });
+
+    it("Should require the mongo datastore", () => {
+        expect(() => new Pocket({ filestore: { adapter: "gridfs" } })).to.throw(/mongo datastore/);
+    });
+
+    describe("[MONGO]", () => {
+        let mongoServer = null;
+        let pocket      = null;
+        let filestore   = null;
+
+        before(done => {
+            const connect = () => {
+                pocket = new Pocket({
+                    datastore: {
+                        adapter: "mongo",
+                        options: {
+                            url: "localhost:27017",
+                            dbName: "mocha_test_db"
+                        }
+                    },
+                    filestore: {
+                        adapter: "gridfs",
+                        options: { bucketName: "mocha_uploads" }
+                    }
+                });
+                filestore = pocket.fileStore;
+                filestore.ready().then(() => done(), done);
+            };
+
+            if (isCI()) {
+                return connect();
+            }
+            mongoServer = new Mongod(27017);
+            mongoServer.open(err => err ? done(err) : connect());
+        });
+
+        afterEach(async () => {
+            const docs = await filestore.bucket.find({}).toArray();
+            for (const { filename } of docs) {
+                await filestore.delete(filename);
+            }
+        });
+
+        after(async () => {
+            if (pocket) {
+                await pocket.close();
+            }
+            if (mongoServer) {
+                await Q.ninvoke(mongoServer, "close");
+            }
+        });
+
+        function testFile(name) {
+            return path.join(__dirname, 'samples', name);
+        }
+
+        function read(stream) {
+            const deferred = Q.defer();
+            const chunks = [];
+            stream.on('data', chunk => chunks.push(chunk));
+            stream.on('error', err => deferred.reject(err));
+            stream.on('end', () => deferred.resolve(Buffer.concat(chunks)));
+            return deferred.promise;
+        }
+
+        it("Should save, read and delete a file", async () => {
+            const content = fs.readFileSync(testFile('sample_image.png'));
+
+            const result = await filestore.saveFile('image1', testFile('sample_image.png'));
+            expect(result.file).to.match(/image1$/);
+            expect(result.mimeType).to.equal('image/png');
+            expect(result.size).to.equal(content.length);
+            expect(result.createdAt).to.be.a('number');
+
+            expect((await read(filestore.stream(result.file))).equals(content)).to.be.true;
+
+            await filestore.delete(result.file);
+            await expect(read(filestore.stream(result.file))).to.be.rejectedWith(/FileNotFound/);
+            await expect(filestore.delete(result.file)).to.be.rejectedWith(/FileNotFound/);
+        });
+
+        it("Should read a range of a file", async () => {
+            const content = fs.readFileSync(testFile('sample_image.png'));
+            const result = await filestore.save('image1', fs.createReadStream(testFile('sample_image.png')));
+
+            const part = await read(filestore.stream(result.file, { start: 10, end: 19 }));
+            expect(part.equals(content.slice(10, 20))).to.be.true;
+
+            const tail = await read(filestore.stream(result.file, { start: content.length - 5, end: content.length - 1 }));
+            expect(tail.equals(content.slice(-5))).to.be.true;
+        });
+
+        it("Should reject saving a bad file", async () => {
+            await expect(filestore.save('image1', './i.dont.exist')).to.be.rejected;
+            await expect(filestore.save('image1', 42)).to.be.rejected;
+        });
+    });
+});
@@ -0,0 +1,70 @@
+const _                  = require("lodash");
+const express          = require("express");
+const request          = require("supertest");
+const { expect }       = require("chai");
+const {
+    Policies,
+    createPolicies }   = require("../src/rest/policies");
+
+describe("Policies", () => {
+
+    function server(policies) {
+        const app = express();
+        app.use("/:resource", (req, res, next) => {
+            req.ctx = {};
+            next();
+        });
+        app.use("/:resource", policies.middleware());
+        app.use((req, res) => res.json({ action: req.ctx.action }));
+        return app;
+    }
+
+    const allowAll = (req, allow) => allow();
+    const denyAll = (req, allow, deny) => deny();
+
+    it("Should order the rules", () => {
+        const policies = new Policies()
+            .rule("b", allowAll)
+            .rule("d", allowAll)
+            .rule("a", allowAll, { prepend: true })
+            .rule("c", allowAll, { before: "d" })
+            .rule("e", allowAll, { after: "d" });
+
+        expect(_.map(policies.rules, 'desc')).to.deep.equal([ "a", "b", "c", "d", "e" ]);
+
+        policies.remove("c");
+        expect(_.map(policies.rules, 'desc')).to.deep.equal([ "a", "b", "d", "e" ]);
+
+        expect(() => policies.rule("f", allowAll, { before: "unknown" })).to.throw();
+    });
+
+    it("Should only apply the rules to the resources they are scoped to", async () => {
+        const app = server(new Policies()
+            .rule("Comments are read only", (req, allow, deny) => {
+                if (req.ctx.action !== "read") {
+                    deny();
+                }
+            }, { resources: "comments" })
+            .rule("Everything else is allowed", allowAll));
+
+        await request(app).get("/comments").expect(200, { action: "read" });
+        await request(app).post("/comments").expect(403);
+        await request(app).post("/posts").expect(200, { action: "create" });
+    });
+
+    it("Should forbid requests which no rule allows", async () => {
+        const app = server(new Policies().rule("Nothing is allowed", denyAll));
+        await request(app).get("/posts").expect(403);
+        await request(server(new Policies())).get("/posts").expect(403);
+    });
+
+    it("Should not share the rules between instances", () => {
+        const first = createPolicies();
+        const second = createPolicies();
+
+        first.rule("Custom rule", allowAll, { prepend: true });
+
+        expect(first.rules[0].desc).to.equal("Custom rule");
+        expect(second.rules).to.have.lengthOf(first.rules.length - 1);
+    });
+});
@@ -0,0 +1,243 @@
+const _                    = require("lodash");
+const http                 = require("http");
+const jwt                  = require("jsonwebtoken");
+const express              = require("express");
+const bodyParser           = require("body-parser");
+const request              = require("supertest");
+const {
+    URL,
+    URLSearchParams }      = require("url");
+const { expect }           = require("chai");
+const Pocket               = require("../src/pocket");
+const { ProviderManager }  = require("../src/authentication/providers");
+
+describe("Authentication providers", () => {
+
+    let pocket      = null;
+    let app         = null;
+    let idp         = null;
+    let issuer      = null;
+    let codes       = {};
+    let browser     = null;
+
+    before((done) => {
+        pocket = new Pocket();
+        app = express();
+        app.use(pocket.middleware());
+
+        // Local OpenID Connect server standing in for the external provider
+        const mock = express();
+        mock.use(bodyParser.urlencoded({ extended: false }));
+        mock.get("/.well-known/openid-configuration", (req, res) => {
+            res.json({
+                issuer,
+                authorization_endpoint: `${issuer}/authorize`,
+                token_endpoint: `${issuer}/token`,
+                userinfo_endpoint: `${issuer}/userinfo`
+            });
+        });
+        mock.post("/token", (req, res) => {
+            const grant = codes[req.body.code];
+            delete codes[req.body.code];
+            if (!grant || ProviderManager.codeChallenge(req.body.code_verifier || "") !== grant.challenge) {
+                return res.status(400).json({ error: "invalid_grant" });
+            }
+            res.json({
+                access_token: "access-" + grant.sub,
+                token_type: "Bearer",
+                id_token: jwt.sign({ sub: grant.sub, nonce: grant.nonce }, "idp-secret", {
+                    issuer,
+                    audience: "pocket",
+                    expiresIn: 60
+                })
+            });
+        });
+        mock.get("/userinfo", (req, res) => {
+            const sub = req.get("authorization").replace("Bearer access-", "");
+            res.json({ sub, preferred_username: `oidc-user-${sub}`, email: `${sub}@example.com` });
+        });
+
+        idp = http.createServer(mock);
+        idp.listen(0, "127.0.0.1", () => {
+            issuer = `http://127.0.0.1:${idp.address().port}`;
+            pocket.providers.register("mock", {
+                issuer,
+                clientId: "pocket",
+                redirectUri: "http://localhost/users/providers/mock/callback"
+            });
+            pocket.ready().then(() => done());
+        });
+    });
+
+    beforeEach(() => {
+        // Keeps the cookies between the requests, as browsers do
+        browser = request.agent(app);
+    });
+
+    afterEach(async () => {
+        codes = {};
+        await pocket.users.resource.drop();
+        await pocket.providers.identities.drop();
+        await pocket.providers.authorizations.drop();
+    });
+
+    after((done) => {
+        idp.close(done);
+    });
+
+    // Simulates the user accepting the login on the provider's side
+    function grant(location) {
+        const url = new URL(location);
+        const params = url.searchParams;
+
+        expect(url.origin).to.equal(issuer);
+        expect(params.get("client_id")).to.equal("pocket");
+        expect(params.get("code_challenge_method")).to.equal("S256");
+
+        const code = "code-" + _.size(codes);
+        codes[code] = {
+            sub: "1234",
+            nonce: params.get("nonce"),
+            challenge: params.get("code_challenge")
+        };
+        return { code, state: params.get("state") };
+    }
+
+    async function authorize() {
+        const { headers } = await browser.get("/users/providers/mock/authorize").expect(302);
+        return grant(headers.location);
+    }
+
+    function callback(query) {
+        return browser.get("/users/providers/mock/callback").query(query);
+    }
+
+    it("Should list the providers", async () => {
+        const { body } = await request(app).get("/users/providers").expect(200);
+        expect(body).to.deep.equal([ { name: "mock", type: "oidc" } ]);
+    });
+
+    it("Should provision a user logging in for the first time", async () => {
+        const query = await authorize();
+        const { body } = await callback(query).expect(200);
+
+        expect(body.authenticated).to.be.true;
+        expect(body.token).to.be.a('string');
+        expect(body.user.username).to.equal("oidc-user-1234");
+        expect(body.user.groups).to.deep.equal([ "users" ]);
+
+        const [ identity ] = await pocket.providers.identities.find();
+        expect(identity.user).to.equal(body.user._id);
+        expect(identity.subject).to.equal("1234");
+
+        // Logging in again uses the same user
+        const second = await callback(await authorize()).expect(200);
+        expect(second.body.user._id).to.equal(body.user._id);
+
+        // External users cannot log in with a password
+        await request(app)
+            .post("/users/login")
+            .send({ username: "oidc-user-1234", password: "password" })
+            .expect(401);
+    });
+
+    it("Should reject reused or tampered authorizations", async () => {
+        const { code, state } = await authorize();
+
+        await callback({ code, state: state.split('.')[0] + '.wrong' }).expect(400);
+        await callback({ code, state }).expect(200);
+        await callback({ code, state }).expect(400);
+    });
+
+    it("Should only complete the logins in the browser which started them", async () => {
+        const { headers } = await browser.get("/users/providers/mock/authorize").expect(302);
+        expect(headers["set-cookie"][0]).to.match(/^pocket_provider_state=\w+;/);
+        expect(headers["set-cookie"][0]).to.match(/HttpOnly/);
+
+        const query = grant(headers.location);
+        await request(app).get("/users/providers/mock/callback").query(query).expect(400);
+
+        // The account of another user cannot be linked through a login they started
+        await pocket.users.create("other", "password", [ "users" ]);
+        const other = request.agent(app);
+        const { body: login } = await other
+            .post("/users/login")
+            .send({ username: "other", password: "password" })
+            .expect(200);
+        const { body } = await other
+            .post("/users/providers/mock/link")
+            .set('Authorization', 'Bearer ' + login.token)
+            .expect(200);
+        await callback(grant(body.url)).expect(400);
+        expect(await pocket.providers.identities.find()).to.have.lengthOf(0);
+
+        await callback(query).expect(200);
+    });
+
+    it("Should reject codes which don't match the PKCE challenge", async () => {
+        const { code, state } = await authorize();
+        codes[code].challenge = "other";
+
+        await callback({ code, state }).expect(401);
+    });
+
+    it("Should link an external account to an existing user", async () => {
+        const user = await pocket.users.create("local", "password", [ "users" ]);
+        const { body: login } = await request(app)
+            .post("/users/login")
+            .send({ username: "local", password: "password" })
+            .expect(200);
+
+        const { body } = await browser
+            .post("/users/providers/mock/link")
+            .set('Authorization', 'Bearer ' + login.token)
+            .expect(200);
+
+        const { body: linked } = await callback(grant(body.url)).expect(200);
+        expect(linked.user._id).to.equal(user.id);
+
+        const { body: again } = await callback(await authorize()).expect(200);
+        expect(again.user._id).to.equal(user.id);
+
+        await request(app)
+            .delete("/users/providers/mock")
+            .set('Authorization', 'Bearer ' + login.token)
+            .expect(200);
+        expect(await pocket.providers.identities.find()).to.have.lengthOf(0);
+    });
+
+    it("Should not provision users if disabled", async () => {
+        pocket.providers.get("mock").options.autoProvision = false;
+        try {
+            await callback(await authorize()).expect(403);
+        } finally {
+            delete pocket.providers.get("mock").options.autoProvision;
+        }
+    });
+
+    it("Should send browsers back to the application once logged in", async () => {
+        pocket.providers.get("mock").options.loginRedirect = "http://localhost/app/login";
+        try {
+            const { headers } = await callback(await authorize()).expect(302);
+            const url = new URL(headers.location);
+            const fragment = new URLSearchParams(url.hash.slice(1));
+            expect(url.origin + url.pathname).to.equal("http://localhost/app/login");
+            expect(fragment.get("token")).to.be.a("string");
+            expect(fragment.get("refreshToken")).to.be.a("string");
+            expect(url.search).to.equal("");
+
+            const failed = await callback({ code: "wrong", state: "wrong.state" }).expect(302);
+            expect(new URL(failed.headers.location).hash).to.match(/^#error=/);
+        } finally {
+            delete pocket.providers.get("mock").options.loginRedirect;
+        }
+    });
+
+    it("Should clear the logins which were never completed", async () => {
+        await authorize();
+        await pocket.providers.authorizations.update({}, { $set: { expiresAt: Date.now() - 1 } }, { skipValidation: true });
+        await authorize();
+
+        expect(await pocket.providers.authorizations.find()).to.have.lengthOf(1);
+    });
+});
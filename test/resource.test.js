@@ -68,6 +68,7 @@ _.each(setupsToTest, ({ config, bootstrap, close }, key) => {
             nickname: {
               type: 'string',
               computed: true,
+              requires: ["firstname"],
               compute(record) {
                 if (!record.firstname) {
                   return 'unnamed';
@@ -251,7 +252,7 @@ _.each(setupsToTest, ({ config, bootstrap, close }, key) => {
         .create({ firstname: "John" })
         .then(record => {
           id = record._id;
-          resource.removeOne(record._id);
+          return resource.removeOne(record._id);
         })
         .then(() => resource.get(id))
         .should.eventually.be.null.notify(done);
@@ -279,6 +280,43 @@ _.each(setupsToTest, ({ config, bootstrap, close }, key) => {
       expect(page2.meta.totalPages).to.equal(2);
     });
 
+    it("Should support sorting on multiple keys", async () => {
+      await resource.create({ username: "bob", firstname: "Bob", age: 30 });
+      await resource.create({ username: "alice", firstname: "Alice", age: 30 });
+      await resource.create({ username: "carl", firstname: "Carl", age: 20 });
+
+      let records = await resource.find({}, { sort: "-age,firstname" });
+      expect(_.map(records, "firstname")).to.deep.equal(["Alice", "Bob", "Carl"]);
+
+      records = await resource.find({}, { sort: { age: 1, firstname: "desc" } });
+      expect(_.map(records, "firstname")).to.deep.equal(["Carl", "Bob", "Alice"]);
+
+      const youngest = await resource.findOne({}, { sort: "age" });
+      expect(youngest.firstname).to.equal("Carl");
+
+      const names = [];
+      await resource.each({}, async record => { names.push(record.firstname) }, { sort: ["firstname"] });
+      expect(names).to.deep.equal(["Alice", "Bob", "Carl"]);
+    });
+
+    it("Should keep a stable order when paginating", async () => {
+      for (let i = 0; i < 10; ++i) {
+        await resource.create({ username: "user " + i });
+      }
+
+      const page1 = await resource.find({}, { pageSize: 5, page: 1 });
+      const page2 = await resource.find({}, { pageSize: 5, page: 2 });
+      const all = await resource.find({}, { sort: "_createdAt,_id" });
+
+      expect(_.map([...page1, ...page2], "_id")).to.deep.equal(_.map(all, "_id"));
+    });
+
+    it("Should reject an invalid sort", done => {
+      resource
+        .find({}, { sort: { age: "sideways" } })
+        .should.be.rejected.notify(done);
+    });
+
     it("Should support computed properties", async () => {
       const data = await resource.create({ firstname: "John" });
       expect(data.nickname).to.equal('little john');
@@ -290,6 +328,28 @@ _.each(setupsToTest, ({ config, bootstrap, close }, key) => {
       expect(rawData).not.to.have.property('nickname');
     });
 
+    it("Should only return the requested fields", async () => {
+      const created = await resource.create({ firstname: "John", lastname: "Smith", age: 42 });
+
+      const [ record ] = await resource.find({}, { fields: "lastname,age" });
+      expect(record).to.have.all.keys("_id", "lastname", "age");
+      expect(record._id).to.equal(created._id);
+
+      const single = await resource.get(created._id, { fields: ["firstname"] });
+      expect(single).to.have.all.keys("_id", "firstname");
+    });
+
+    it("Should only compute the requested computed fields", async () => {
+      const created = await resource.create({ firstname: "John", lastname: "Smith" });
+
+      const withoutNickname = await resource.get(created._id, { fields: "lastname" });
+      expect(withoutNickname).not.to.have.property("nickname");
+
+      const withNickname = await resource.get(created._id, { fields: "nickname" });
+      expect(withNickname).to.have.all.keys("_id", "nickname");
+      expect(withNickname.nickname).to.equal("little john");
+    });
+
     it("Should allow streaming records", async () => {
       for (let i = 0; i < 10; ++i) {
         await resource.create({ username: "John " + i });
@@ -304,6 +364,641 @@ _.each(setupsToTest, ({ config, bootstrap, close }, key) => {
       expect(count).to.equal(10);
     });
 
+    describe("References", () => {
+      let authors = null;
+      let articles = null;
+
+      before(() => {
+        authors = pocket.resource("authors", new Schema({
+          fields: {
+            name: "string"
+          }
+        }));
+        articles = pocket.resource("articles", new Schema({
+          fields: {
+            title: "string",
+            author: { type: "ref", resource: "authors" },
+            reviewers: { type: "ref", resource: "authors", many: true }
+          }
+        }));
+      });
+
+      afterEach(async () => {
+        authors.schema.clearHooks();
+        await authors.drop();
+        await articles.drop();
+      });
+
+      it("Should validate that the referenced records exist", async () => {
+        const author = await authors.create({ name: "Tolkien" });
+        const article = await articles.create({ title: "The Hobbit", author: author._id });
+        expect(article.author).to.equal(author._id);
+
+        await articles.create({ title: "Unknown", author: "idontexist" }).should.be.rejected;
+        await articles.create({ title: "Unknown", reviewers: [ author._id, "idontexist" ] }).should.be.rejected;
+        await articles.create({ title: "Bad type", author: 123 }).should.be.rejected;
+      });
+
+      it("Should populate references in a single query per resource", async () => {
+        const tolkien = await authors.create({ name: "Tolkien" });
+        const lewis = await authors.create({ name: "Lewis" });
+
+        await articles.create({ title: "The Hobbit", author: tolkien._id, reviewers: [ lewis._id ] });
+        await articles.create({ title: "Narnia", author: lewis._id, reviewers: [ tolkien._id, lewis._id ] });
+
+        let queries = 0;
+        authors.schema.before("find", async () => { queries++ });
+
+        const records = await articles.find({}, { populate: "author,reviewers", sort: "title" });
+
+        expect(queries).to.equal(2);
+        expect(records[0].title).to.equal("Narnia");
+        expect(records[0].author.name).to.equal("Lewis");
+        expect(_.map(records[0].reviewers, "name")).to.deep.equal([ "Tolkien", "Lewis" ]);
+        expect(records[1].author.name).to.equal("Tolkien");
+        expect(_.map(records[1].reviewers, "name")).to.deep.equal([ "Lewis" ]);
+      });
+
+      it("Should refuse to populate a field which is not a reference", done => {
+        articles
+          .find({}, { populate: "title" })
+          .should.be.rejected.notify(done);
+      });
+    });
+
+    describe("Revisions", () => {
+      let pages = null;
+
+      before(() => {
+        pages = pocket.resource("pages", new Schema({
+          versioning: true,
+          fields: {
+            title: "string",
+            body: "string"
+          }
+        }));
+      });
+
+      afterEach(async () => {
+        await pages.drop();
+        await pocket.resource("_revisions").drop();
+      });
+
+      it("Should store a revision for every change", async () => {
+        const editor = pages.withContext({ user: { id: "editor-id" } });
+        const page = await editor.create({ title: "Draft", body: "Lorem" });
+        await editor.mergeOne(page._id, { title: "Final" });
+        await editor.updateOne(page._id, { $unset: { body: true } });
+
+        const history = await pages.history(page._id);
+        expect(history).to.have.lengthOf(3);
+        expect(_.map(history, "revision")).to.deep.equal([3, 2, 1]);
+        expect(history[0].diff).to.deep.equal({ body: { from: "Lorem", to: null } });
+        expect(history[1].diff).to.deep.equal({ title: { from: "Draft", to: "Final" } });
+        expect(history[1].author).to.equal("editor-id");
+        expect(history[2].snapshot.title).to.equal("Draft");
+      });
+
+      it("Should revert a record to a previous revision", async () => {
+        const page = await pages.create({ title: "First" });
+        await pages.mergeOne(page._id, { title: "Second", body: "Added" });
+
+        const reverted = await pages.revert(page._id, 1);
+        expect(reverted.title).to.equal("First");
+        expect(reverted).not.to.have.property("body");
+
+        const history = await pages.history(page._id);
+        expect(history).to.have.lengthOf(3);
+        expect(history[0].diff.title).to.deep.equal({ from: "Second", to: "First" });
+      });
+
+      it("Should number the revisions of concurrent changes apart", async () => {
+        const page = await pages.create({ title: "First" });
+        await Promise.all(_.times(4, i => pages.mergeOne(page._id, { body: `Change ${i}` })));
+
+        const history = await pages.history(page._id);
+        expect(_.map(history, "revision")).to.deep.equal([5, 4, 3, 2, 1]);
+      });
+
+      it("Should fail to revert to a revision that doesn't exist", done => {
+        pages.create({ title: "First" })
+          .then(page => pages.revert(page._id, 12))
+          .should.be.rejected.notify(done);
+      });
+
+      it("Should not track resources without versioning", done => {
+        resource.create({ firstname: "John" })
+          .then(record => resource.history(record._id))
+          .should.be.rejected.notify(done);
+      });
+    });
+
+    describe("Soft deletion", () => {
+      let notes = null;
+
+      before(() => {
+        notes = pocket.resource("notes", new Schema({
+          softDelete: true,
+          fields: {
+            text: "string"
+          }
+        }));
+      });
+
+      afterEach(async () => {
+        await notes.drop();
+      });
+
+      it("Should move removed records to the trash", async () => {
+        const [ kept, removed ] = await Promise.all([
+          notes.create({ text: "kept" }),
+          notes.create({ text: "removed" })
+        ]);
+
+        expect(await notes.removeOne(removed._id)).to.equal(1);
+
+        const records = await notes.find();
+        expect(_.map(records, "_id")).to.deep.equal([ kept._id ]);
+        expect(await notes.get(removed._id)).to.be.null;
+        expect(await notes.count()).to.equal(1);
+
+        const trash = await notes.find({}, { onlyDeleted: true });
+        expect(trash).to.have.lengthOf(1);
+        expect(trash[0]._id).to.equal(removed._id);
+        expect(trash[0]._deletedAt).to.be.a("number");
+
+        expect(await notes.count({}, { withDeleted: true })).to.equal(2);
+      });
+
+      it("Should restore a record from the trash", async () => {
+        const note = await notes.create({ text: "oops" });
+        await notes.removeOne(note._id);
+
+        const restored = await notes.restore(note._id);
+        expect(restored.text).to.equal("oops");
+        expect(restored).not.to.have.property("_deletedAt");
+        expect(await notes.count()).to.equal(1);
+      });
+
+      it("Should fail to restore a record which isn't in the trash", done => {
+        notes.create({ text: "alive" })
+          .then(note => notes.restore(note._id))
+          .should.be.rejected.notify(done);
+      });
+
+      it("Should permanently delete records from the trash", async () => {
+        const [ a, b ] = await Promise.all([
+          notes.create({ text: "a" }),
+          notes.create({ text: "b" })
+        ]);
+        await notes.removeOne(a._id);
+
+        expect(await notes.purge()).to.equal(1);
+        expect(await notes.count({}, { withDeleted: true })).to.equal(1);
+
+        await notes.removeOne(b._id, { purge: true });
+        expect(await notes.count({}, { withDeleted: true })).to.equal(0);
+      });
+
+      it("Should purge the records kept in the trash for longer than the retention period", async () => {
+        const { purgeTrash } = require("../src/tasks/trash");
+        const retention = pocket.config().trash.retention;
+
+        const [ old, recent ] = await Promise.all([
+          notes.create({ text: "old" }),
+          notes.create({ text: "recent" })
+        ]);
+        await notes.remove({}, { multi: true });
+        await pocket.jsonStore.update("notes", { _id: old._id }, {
+          $set: { _deletedAt: Date.now() - (retention + 60) * 1000 }
+        });
+
+        await purgeTrash(pocket);
+
+        const trash = await notes.find({}, { onlyDeleted: true });
+        expect(_.map(trash, "_id")).to.deep.equal([ recent._id ]);
+      });
+    });
+
+    describe("Attachments", () => {
+      const sample = path.join(__dirname, "samples", "sample_image.png");
+      let albums = null;
+
+      before(() => {
+        albums = pocket.resource("albums", new Schema({
+          softDelete: true,
+          fields: {
+            title: "string"
+          }
+        }));
+      });
+
+      afterEach(async () => {
+        await albums.drop();
+      });
+
+      async function storedFiles() {
+        return _.map(await pocket.fileStore.list(), "file");
+      }
+
+      it("Should delete the attachments of the permanently removed records", async () => {
+        const album = await albums.create({ title: "holidays" });
+        const { _attachments: [ { file } ] } = await albums.attach(album._id, "cover", sample);
+
+        await albums.removeOne(album._id);
+        expect(await storedFiles()).to.include(file);
+
+        await albums.purge();
+        expect(await storedFiles()).not.to.include(file);
+      });
+
+      it("Should not take the attachments, owner or deletion date of the records from the payloads", async () => {
+        const [ victim, forger ] = await Promise.all([
+          albums.create({ title: "victim" }),
+          albums.create({ title: "forger", _createdBy: "someone", _attachments: [ { file: "forged" } ] })
+        ]);
+        expect(forger._createdBy).to.be.null;
+        expect(forger._attachments).to.be.empty;
+
+        const { _attachments: [ { file } ] } = await albums.attach(victim._id, "cover", sample);
+
+        const updated = await albums.mergeOne(forger._id, {
+          title: "forged",
+          _attachments: [ { id: file, file, name: "cover" } ],
+          _createdBy: "someone",
+          _deletedAt: Date.now()
+        });
+        expect(updated.title).to.equal("forged");
+        expect(updated._attachments).to.be.empty;
+        expect(updated._createdBy).to.be.null;
+        expect(updated).not.to.have.property("_deletedAt");
+
+        await albums.removeOne(forger._id, { purge: true });
+        expect(await storedFiles()).to.include(file);
+      });
+
+      it("Should report or remove the files which are not attached to any record", async () => {
+        const { collectAttachments } = require("../src/tasks/attachments");
+        const config = pocket.config();
+        const attachmentsConfig = config.attachments;
+
+        const [ kept, trashed ] = await Promise.all([
+          albums.create({ title: "kept" }),
+          albums.create({ title: "trashed" })
+        ]);
+        const { _attachments: [ attached ] } = await albums.attach(kept._id, "cover", sample);
+        const { _attachments: [ restorable ] } = await albums.attach(trashed._id, "cover", sample);
+        await albums.removeOne(trashed._id);
+
+        const orphan = await pocket.fileStore.save("orphan", sample);
+
+        // Recent files are left to the uploads in progress
+        expect(await collectAttachments(pocket)).not.to.include(orphan.file);
+
+        try {
+          config.attachments = { orphans: "report", orphansGracePeriod: 0 };
+          const reported = await collectAttachments(pocket);
+          expect(reported).to.include(orphan.file);
+          expect(reported).not.to.include(attached.file);
+          expect(reported).not.to.include(restorable.file);
+          expect(await storedFiles()).to.include(orphan.file);
+
+          config.attachments = { orphans: "remove", orphansGracePeriod: 0 };
+          await collectAttachments(pocket);
+          expect(await storedFiles())
+            .to.include.members([ attached.file, restorable.file ])
+            .and.not.to.include(orphan.file);
+        } finally {
+          config.attachments = attachmentsConfig;
+        }
+      });
+    });
+
+    describe("Publishing", () => {
+      let entries = null;
+      let reader = null;
+
+      before(() => {
+        entries = pocket.resource("entries", new Schema({
+          publishing: true,
+          fields: {
+            title: "string"
+          }
+        }));
+        reader = entries.withContext({
+          user: {
+            id: "reader-id",
+            groups: [],
+            isAdmin: () => false,
+            isAllowed: async () => false
+          }
+        });
+      });
+
+      afterEach(async () => {
+        await entries.drop();
+      });
+
+      it("Should create records as drafts", async () => {
+        const entry = await entries.create({ title: "Draft" });
+        expect(entry._status).to.equal("draft");
+        expect(await entries.find({}, { published: true })).to.have.lengthOf(0);
+        expect(await reader.find()).to.have.lengthOf(0);
+      });
+
+      it("Should only expose the published version to users who cannot edit", async () => {
+        const entry = await entries.create({ title: "Version 1" });
+        const published = await entries.publish(entry._id);
+        expect(published._status).to.equal("published");
+        expect(published._publishedAt).to.be.a("number");
+
+        await entries.mergeOne(entry._id, { title: "Version 2" });
+
+        const [ draft ] = await entries.find();
+        expect(draft.title).to.equal("Version 2");
+
+        const records = await reader.find({ title: "Version 1" });
+        expect(records).to.have.lengthOf(1);
+        expect(records[0].title).to.equal("Version 1");
+        expect(records[0]).not.to.have.property("_published");
+        expect(await reader.find({ title: "Version 2" })).to.have.lengthOf(0);
+        expect(await reader.count()).to.equal(1);
+      });
+
+      it("Should hide unpublished and archived records", async () => {
+        const [ a, b ] = await Promise.all([
+          entries.create({ title: "A" }),
+          entries.create({ title: "B" })
+        ]);
+        await entries.publish(a._id);
+        await entries.publish(b._id);
+
+        expect((await entries.unpublish(a._id))._status).to.equal("draft");
+        expect((await entries.archive(b._id))._status).to.equal("archived");
+        expect(await reader.find()).to.have.lengthOf(0);
+      });
+
+      it("Should publish scheduled records once their publication date has passed", async () => {
+        const { publishScheduled } = require("../src/tasks/publishing");
+
+        const entry = await entries.create({ title: "Later" });
+        const scheduled = await entries.publish(entry._id, { publishAt: Date.now() + 60000 });
+        expect(scheduled._status).to.equal("scheduled");
+
+        expect(await publishScheduled(pocket)).to.equal(0);
+
+        await pocket.jsonStore.update("entries", { _id: entry._id }, {
+          $set: { _publishAt: Date.now() - 1000 }
+        });
+        expect(await publishScheduled(pocket)).to.equal(1);
+
+        const [ record ] = await reader.find();
+        expect(record.title).to.equal("Later");
+        expect(record._status).to.equal("published");
+      });
+
+      it("Should not allow the publication state to be set manually", async () => {
+        const entry = await entries.create({ title: "Sneaky" });
+        await entries.mergeOne(entry._id, { _status: "published", _published: { title: "Sneaky" } });
+        expect(await reader.find()).to.have.lengthOf(0);
+      });
+    });
+
+    describe("Field permissions", () => {
+      let products = null;
+
+      const userOf = (groups) => ({
+        id: `${groups.join("-")}-id`,
+        groups,
+        isAdmin: () => false,
+        isAllowed: async () => true
+      });
+
+      before(() => {
+        products = pocket.resource("products", new Schema({
+          fields: {
+            name: "string",
+            price: {
+              type: "number",
+              access: { write: [ "sales" ] }
+            },
+            notes: {
+              type: "string",
+              access: { read: [ "sales", "support" ], write: [ "sales" ] }
+            }
+          }
+        }));
+      });
+
+      afterEach(async () => {
+        await products.drop();
+      });
+
+      it("Should hide the fields the user cannot read", async () => {
+        await products.create({ name: "Chair", price: 10, notes: "Discount allowed" });
+
+        const [ record ] = await products.withContext({ user: userOf([ "users" ]) }).find();
+        expect(record).to.have.property("price", 10);
+        expect(record).not.to.have.property("notes");
+
+        const [ support ] = await products.withContext({ user: userOf([ "support" ]) }).find();
+        expect(support).to.have.property("notes", "Discount allowed");
+
+        const [ anonymous ] = await products.withContext({ request: {} }).find();
+        expect(anonymous).not.to.have.property("notes");
+
+        const [ server ] = await products.find();
+        expect(server).to.have.property("notes", "Discount allowed");
+      });
+
+      it("Should reject writes to the fields the user cannot write", async () => {
+        const support = products.withContext({ user: userOf([ "support" ]) });
+        const sales = products.withContext({ user: userOf([ "sales" ]) });
+
+        const err = await expect(support.create({ name: "Table", price: 20 })).to.be.rejected;
+        expect(err.code).to.equal(403);
+
+        const record = await support.create({ name: "Table" });
+        await expect(support.mergeOne(record._id, { notes: "Fragile" })).to.be.rejected;
+
+        const updated = await sales.mergeOne(record._id, { price: 20, notes: "Fragile" });
+        expect(updated.price).to.equal(20);
+        expect(updated.notes).to.equal("Fragile");
+      });
+
+      it("Should not return restricted fields from create", async () => {
+        const reader = products.withContext({ user: userOf([ "users" ]) });
+        products.schema.fields.find(f => f.name === "notes").default = "None";
+        try {
+          const record = await reader.create({ name: "Desk" });
+          expect(record).to.have.property("name", "Desk");
+          expect(record).not.to.have.property("notes");
+          expect((await products.get(record._id)).notes).to.equal("None");
+        } finally {
+          delete products.schema.fields.find(f => f.name === "notes").default;
+        }
+      });
+
+      it("Should hide the fields the user cannot read from the revisions and published copies", async () => {
+        const quotes = pocket.resource("quotes") || pocket.resource("quotes", new Schema({
+          versioning: true,
+          publishing: true,
+          fields: {
+            name: "string",
+            notes: { type: "string", access: { read: [ "sales" ] } }
+          }
+        }));
+
+        try {
+          const quote = await quotes.create({ name: "Chairs", notes: "Discount allowed" });
+          await quotes.publish(quote._id);
+          await quotes.mergeOne(quote._id, { notes: "No discount" });
+
+          const reader = quotes.withContext({ user: userOf([ "users" ]) });
+          const [ draft ] = await reader.find();
+          expect(draft._published).to.have.property("name", "Chairs");
+          expect(draft._published).not.to.have.property("notes");
+
+          const revisions = await reader.history(quote._id);
+          expect(revisions).to.have.lengthOf(3);
+          _.each(revisions, ({ snapshot, diff }) => {
+            expect(snapshot).not.to.have.property("notes");
+            expect(diff).not.to.have.property("notes");
+            if (snapshot._published) {
+              expect(snapshot._published).not.to.have.property("notes");
+            }
+            if (diff._published) {
+              expect(diff._published.to).not.to.have.property("notes");
+            }
+          });
+
+          const [ latest ] = await quotes.withContext({ user: userOf([ "sales" ]) }).history(quote._id);
+          expect(latest.snapshot.notes).to.equal("No discount");
+          expect(latest.diff.notes).to.deep.equal({ from: "Discount allowed", to: "No discount" });
+        } finally {
+          await quotes.drop();
+          await pocket.resource("_revisions").drop();
+        }
+      });
+
+      it("Should not let users restore the fields they cannot write", async () => {
+        const offers = pocket.resource("offers") || pocket.resource("offers", new Schema({
+          versioning: true,
+          fields: {
+            name: "string",
+            price: { type: "number", access: { write: [ "sales" ] } }
+          }
+        }));
+
+        try {
+          const offer = await offers.create({ name: "Chairs", price: 99 });
+          await offers.mergeOne(offer._id, { name: "Tables", price: 10 });
+
+          const restored = await offers.withContext({ user: userOf([ "support" ]) }).revert(offer._id, 1);
+          expect(restored.name).to.equal("Chairs");
+          expect(restored.price).to.equal(10);
+
+          const sales = await offers.withContext({ user: userOf([ "sales" ]) }).revert(offer._id, 1);
+          expect(sales.price).to.equal(99);
+        } finally {
+          await offers.drop();
+          await pocket.resource("_revisions").drop();
+        }
+      });
+
+      it("Should not let users query or sort the records on the fields they cannot read", async () => {
+        await products.create({ name: "Chair", notes: "Discount allowed" });
+        const reader = products.withContext({ user: userOf([ "users" ]) });
+
+        const queries = [
+          reader.find({ notes: "Discount allowed" }),
+          reader.find({ $or: [ { name: "Table" }, { notes: { $ne: null } } ] }),
+          reader.find({ "_published.notes": "Discount allowed" }),
+          reader.find({}, { sort: "-notes" }),
+          reader.count({ notes: "Discount allowed" })
+        ];
+        for (let query of queries) {
+          const err = await expect(query).to.be.rejected;
+          expect(err.code).to.equal(403);
+        }
+
+        expect(await reader.find({ name: "Chair" }, { sort: "-price" })).to.have.lengthOf(1);
+        const support = products.withContext({ user: userOf([ "support" ]) });
+        expect(await support.find({ notes: "Discount allowed" })).to.have.lengthOf(1);
+      });
+    });
+
+    describe("Ownership", () => {
+      let memos = null;
+
+      const userOf = (id) => ({
+        id,
+        groups: [ "users" ],
+        isAdmin: () => false,
+        isAllowed: async () => true
+      });
+
+      before(() => {
+        memos = pocket.resource("memos", new Schema({
+          ownership: "write",
+          softDelete: true,
+          fields: { text: "string" }
+        }));
+      });
+
+      afterEach(async () => {
+        memos.schema.properties.ownership = "write";
+        await memos.drop();
+      });
+
+      it("Should only let users update and remove their own records", async () => {
+        const alice = memos.withContext({ user: userOf("alice") });
+        const bob = memos.withContext({ user: userOf("bob") });
+
+        const record = await alice.create({ text: "Hello" });
+        expect(record._createdBy).to.equal("alice");
+        expect(await bob.find()).to.have.lengthOf(1);
+
+        let err = await expect(bob.mergeOne(record._id, { text: "Hacked" })).to.be.rejected;
+        expect(err.code).to.equal(403);
+        err = await expect(bob.removeOne(record._id)).to.be.rejected;
+        expect(err.code).to.equal(403);
+        err = await expect(bob.create({ text: "Fake" }, { userId: "alice" })).to.be.rejected;
+        expect(err.code).to.equal(403);
+
+        // Bulk operations only affect the records of the user
+        await bob.update({}, { $set: { text: "Hacked" } });
+        expect(await bob.remove({})).to.equal(0);
+        expect((await memos.get(record._id)).text).to.equal("Hello");
+
+        await alice.removeOne(record._id);
+        err = await expect(bob.restore(record._id)).to.be.rejected;
+        expect(err.code).to.equal(403);
+        await alice.restore(record._id);
+
+        const updated = await alice.mergeOne(record._id, { text: "Edited" });
+        expect(updated.text).to.equal("Edited");
+      });
+
+      it("Should only let users see their own private records", async () => {
+        memos.schema.properties.ownership = "private";
+        const alice = memos.withContext({ user: userOf("alice") });
+        const bob = memos.withContext({ user: userOf("bob") });
+
+        const record = await alice.create({ text: "Secret" });
+        await bob.create({ text: "Other" });
+
+        expect(await alice.find()).to.have.lengthOf(1);
+        expect(await bob.get(record._id)).to.be.null;
+        expect(await bob.count()).to.equal(1);
+        expect(await memos.withContext({ request: {} }).find()).to.have.lengthOf(0);
+        expect(await memos.find()).to.have.lengthOf(2);
+
+        const err = await expect(bob.mergeOne(record._id, { text: "Hacked" })).to.be.rejected;
+        expect(err.code).to.equal(404);
+      });
+    });
+
     describe("Hooks", () => {
       afterEach(done => {
         schema.clearHooks();
@@ -1,6 +1,7 @@
 const Q                = require("q");
 const request          = require("supertest");
 const path             = require("path");
+const fs               = require("fs");
 const rimraf           = require("rimraf");
 const _                = require("lodash");
 const server           = require("./utils/testServer");
@@ -132,6 +133,106 @@ describe("Rest", () => {
             expect(res2.headers['x-page']).to.equal('2');
         })
 
+        it("Should filter records using the filter query parameter", async () => {
+            const posts = pocket.resource('posts');
+            await createPosts(3);
+            await posts.create({ type: 'media', message: 'media post' });
+            await posts.create({ type: 'statistics', message: 'stats post' });
+
+            let { body } = await request(TestServer)
+                .get('/rest/posts')
+                .query({ filter: { type: 'media' } })
+                .expect(200);
+
+            expect(body).to.have.lengthOf(1);
+            expect(body[0].message).to.equal('media post');
+
+            ({ body } = await request(TestServer)
+                .get('/rest/posts')
+                .query('filter[type][$in]=media,statistics')
+                .expect(200));
+
+            expect(body).to.have.lengthOf(2);
+
+            ({ body } = await request(TestServer)
+                .get('/rest/posts')
+                .query({ filter: JSON.stringify({ type: { $ne: 'achievement' }, message: { $exists: true } }) })
+                .expect(200));
+
+            expect(body).to.have.lengthOf(2);
+        })
+
+        it("Should convert filter values to the type of the field", async () => {
+            const first = await createPost();
+            await Q.delay(10);
+            await createPost();
+
+            const { body } = await request(TestServer)
+                .get('/rest/posts')
+                .query(`filter[_createdAt][$gt]=${first._createdAt}`)
+                .expect(200);
+
+            expect(body).to.have.lengthOf(1);
+            expect(body[0]._id).not.to.equal(first._id);
+        })
+
+        it("Should reject unsupported filter operators", async () => {
+            await createPosts(2);
+
+            await request(TestServer)
+                .get('/rest/posts')
+                .query('filter[$where]=sleep(1000)')
+                .expect(400);
+
+            await request(TestServer)
+                .get('/rest/posts')
+                .query('filter[message][$regex]=.*')
+                .expect(400);
+
+            await request(TestServer)
+                .get('/rest/posts')
+                .query('filter[_createdAt][$gt]=yesterday')
+                .expect(400);
+        })
+
+        it("Should sort records using the sort query parameter", async () => {
+            const posts = pocket.resource('posts');
+            await posts.create({ type: 'statistics', message: 'b' });
+            await posts.create({ type: 'media', message: 'c' });
+            await posts.create({ type: 'media', message: 'a' });
+
+            const { body } = await request(TestServer)
+                .get('/rest/posts')
+                .query({ sort: 'type,-message', pageSize: 2, page: 1 })
+                .expect(200);
+
+            expect(_.map(body, 'message')).to.deep.equal([ 'c', 'a' ]);
+
+            await request(TestServer)
+                .get('/rest/posts')
+                .query({ sort: '$natural' })
+                .expect(400);
+        })
+
+        it("Should only return the fields requested", async () => {
+            const post = await createPost();
+
+            let { body } = await request(TestServer)
+                .get('/rest/posts')
+                .query({ fields: 'message' })
+                .expect(200);
+
+            expect(body).to.have.lengthOf(1);
+            expect(body[0]).to.have.all.keys('_id', 'message');
+
+            ({ body } = await request(TestServer)
+                .get(`/rest/posts/${post._id}`)
+                .query({ fields: 'type,_attachments' })
+                .expect(200));
+
+            expect(body).to.have.all.keys('_id', 'type', '_attachments');
+        })
+
         it("Should retrieve the full list of items", async () => {
             await createPosts(10);
 
@@ -204,7 +305,7 @@ describe("Rest", () => {
                 .expect(404);
         })
 
-        it("Should download publicly an attachment from it's id", async () => {
+        it("Should download an attachment publicly if the resource is opened to the anonymous group", async () => {
             let post = await createPost();
             let { body } = await request(TestServer)
                 .post(`/rest/posts/${post._id}/attachments`)
@@ -215,12 +316,67 @@ describe("Rest", () => {
             expect(body._attachments[0].id).not.to.be.null;
 
             config.testing.disableAuthentication = false;
-            let { headers } = await request(TestServer)
-                .get(`/rest/posts/${post._id}/attachments/${body._attachments[0].id}`)
+            const url = `/rest/posts/${post._id}/attachments/${body._attachments[0].id}`;
+            await request(TestServer).get(url).expect(401);
+
+            const schema = pocket.resource('posts').schema;
+            schema.allow('anonymous', [ 'read' ]);
+            try {
+                let { headers } = await request(TestServer).get(url).expect(200);
+
+                expect(headers['content-type']).to.equal('image/png');
+                expect(_.toFinite(headers['content-length'])).to.be.above(70000);
+            } finally {
+                schema.deny('anonymous', [ 'read' ]);
+            }
+        })
+
+        it("Should support conditional and partial downloads of an attachment", async () => {
+            const post = await createPost();
+            const { body } = await request(TestServer)
+                .post(`/rest/posts/${post._id}/attachments`)
+                .attach('myfile', testFile('sample_image.png'))
                 .expect(200);
 
-            expect(headers['content-type']).to.equal('image/png');
-            expect(_.toFinite(headers['content-length'])).to.be.above(70000);
+            const attachment = body._attachments[0];
+            const url = `/rest/posts/${post._id}/attachments/${attachment.id}`;
+            const file = fs.readFileSync(testFile('sample_image.png'));
+
+            const { headers } = await request(TestServer).get(url).expect(200);
+            expect(headers['accept-ranges']).to.equal('bytes');
+            expect(headers['content-disposition']).to.equal('inline; filename="sample_image.png"');
+            expect(headers['cache-control']).to.equal('private, no-cache');
+            expect(headers['etag']).to.be.a('string');
+
+            await request(TestServer).get(url).set('If-None-Match', headers['etag']).expect(304);
+            await request(TestServer).get(url).set('If-Modified-Since', headers['last-modified']).expect(304);
+            await request(TestServer).get(url).set('If-None-Match', '"other"').expect(200);
+
+            let res = await request(TestServer).get(url).set('Range', 'bytes=10-19').expect(206);
+            expect(res.headers['content-range']).to.equal(`bytes 10-19/${file.length}`);
+            expect(res.headers['content-length']).to.equal('10');
+            expect(res.body.equals(file.slice(10, 20))).to.be.true;
+
+            res = await request(TestServer).get(url).set('Range', `bytes=-5`).expect(206);
+            expect(res.body.equals(file.slice(-5))).to.be.true;
+
+            // The whole file is sent if it changed since the If-Range validator
+            await request(TestServer).get(url).set('Range', 'bytes=0-9').set('If-Range', '"other"').expect(200);
+            await request(TestServer).get(url).set('Range', 'bytes=0-9').set('If-Range', headers['etag']).expect(206);
+
+            res = await request(TestServer).get(url).set('Range', `bytes=${file.length}-`).expect(416);
+            expect(res.headers['content-range']).to.equal(`bytes */${file.length}`);
+
+            res = await request(TestServer).get(url).query({ download: true }).expect(200);
+            expect(res.headers['content-disposition']).to.equal('attachment; filename="sample_image.png"');
+
+            pocket.resource('posts').schema.properties.attachments = { cacheControl: 'public, max-age=3600' };
+            try {
+                res = await request(TestServer).get(url).expect(200);
+                expect(res.headers['cache-control']).to.equal('public, max-age=3600');
+            } finally {
+                delete pocket.resource('posts').schema.properties.attachments;
+            }
         })
 
         it("Should delete an attachment from it's id", async () => {
@@ -245,6 +401,114 @@ describe("Rest", () => {
                 .expect(404);
         })
 
+        it("Should enforce the upload constraints of the schema", async () => {
+            const resource      = pocket.resource('posts');
+            const uploadFolder  = config.filestore.options.uploadFolder;
+            const post          = await createPost();
+            const url           = `/rest/posts/${post._id}/attachments`;
+
+            resource.schema.properties.attachments = {
+                fields: {
+                    cover: { mimeTypes: [ 'image/*' ], maxCount: 1, required: true },
+                    notes: { mimeTypes: 'text/plain', maxSize: 10 }
+                }
+            };
+            try {
+                const files = fs.readdirSync(uploadFolder);
+
+                await request(TestServer).post(url).attach('other', testFile('sample_image.png')).expect(400);
+                await request(TestServer).post(url).attach('cover', Buffer.from('not an image'), 'cover.png').expect(415);
+                await request(TestServer).post(url).attach('notes', Buffer.from('more than 10 bytes'), 'notes.txt').expect(413);
+
+                // Rejected files are not kept
+                expect(fs.readdirSync(uploadFolder)).to.deep.equal(files);
+
+                const { body } = await request(TestServer)
+                    .post(url)
+                    .attach('cover', testFile('sample_image.png'))
+                    .attach('notes', Buffer.from('notes'), 'notes.txt')
+                    .expect(200);
+
+                expect(_.map(body._attachments, 'name')).to.have.members([ 'cover', 'notes' ]);
+
+                // The attachments cannot be reset with an update to get around the rules
+                await request(TestServer)
+                    .put(`/rest/posts/${post._id}`)
+                    .send({ message: 'reset', _attachments: [] })
+                    .expect(200)
+                    .then(({ body }) => expect(body._attachments).to.have.lengthOf(2));
+
+                await request(TestServer).post(url).attach('cover', testFile('sample_image.png')).expect(400);
+
+                const cover = _.find(body._attachments, [ 'name', 'cover' ]);
+                await request(TestServer).delete(`${url}/${cover.id}`).expect(400);
+            } finally {
+                delete resource.schema.properties.attachments;
+            }
+        })
+
+        it("Should list and restore the revisions of a record", async () => {
+            const notes = pocket.resource('notes') || pocket.resource('notes', {
+                versioning: true,
+                fields: { text: "string" }
+            });
+
+            const note = await notes.create({ text: "v1" });
+            await notes.mergeOne(note._id, { text: "v2" });
+
+            let { body } = await request(TestServer)
+                .get(`/rest/notes/${note._id}/revisions`)
+                .expect(200);
+
+            expect(body).to.have.lengthOf(2);
+            expect(body[0].revision).to.equal(2);
+
+            ({ body } = await request(TestServer)
+                .post(`/rest/notes/${note._id}/revisions/1/restore`)
+                .expect(200));
+
+            expect(body.text).to.equal("v1");
+
+            await request(TestServer)
+                .post(`/rest/notes/${note._id}/revisions/42/restore`)
+                .expect(404);
+
+            await request(TestServer)
+                .get(`/rest/notes/idontexist/revisions`)
+                .expect(404);
+        })
+
+        it("Should list, restore and purge records from the trash", async () => {
+            const memos = pocket.resource('memos') || pocket.resource('memos', {
+                softDelete: true,
+                fields: { text: "string" }
+            });
+
+            const memo = await memos.create({ text: "hello" });
+
+            await request(TestServer)
+                .delete(`/rest/memos/${memo._id}`)
+                .expect(200);
+
+            let { body } = await request(TestServer).get(`/rest/memos`).expect(200);
+            expect(body).to.have.lengthOf(0);
+
+            ({ body } = await request(TestServer).get(`/rest/memos?trash=true`).expect(200));
+            expect(body).to.have.lengthOf(1);
+            expect(body[0]._id).to.equal(memo._id);
+
+            ({ body } = await request(TestServer)
+                .post(`/rest/memos/${memo._id}/restore`)
+                .expect(200));
+            expect(body.text).to.equal("hello");
+
+            await request(TestServer)
+                .delete(`/rest/memos/${memo._id}?purge=true`)
+                .expect(200);
+
+            expect(await memos.count({}, { withDeleted: true })).to.equal(0);
+        })
+
         it("Should delete a record using it's id", async () => {
             let { _id } = await createPost();
 
@@ -311,200 +575,798 @@ describe("Rest", () => {
             expect(user._id.length).to.be.greaterThan(0);
         });
 
-        // it("Should allow users to refresh their jwt token", async () => {
-        //     await userManager.create("admin", "password", [ "admins" ]);
-        //     const loginResponse =
-        //         await request(TestServer)
-        //             .post("/users/login")
-        //             .send({
-        //                 username: "admin",
-        //                 password: "password"
-        //             })
-        //             .expect(200);
-
-        //     const token = loginResponse.body.token;
-        //     expect(token).to.be.a('string');
-        //     expect(token.length).to.be.greaterThan(0);
-
-        //     const refreshResponse = await request(TestServer)
-        //             .get("/users/refresh")
-        //             .set('Authorization', 'Bearer ' + token)
-        //             .expect(200);
-
-        //     const refreshedToken = refreshResponse.body.token;
-        //     expect(refreshedToken).to.be.a('string');
-        //     expect(refreshedToken.length).to.be.greaterThan(0);
-        //     expect(refreshedToken !== token).to.be.true;
-        // });
-
-        it("Should not allow registering an admin if there is already one", async () => {
-            await userManager.create("admin1", "password", [ "admins" ]);
-            await request(TestServer)
-                .post("/users/signup")
-                .send({
-                    username: "admin2",
-                    password: "password2",
-                    groups: [ "admins", "users" ]
-                })
-                .expect(401);
-        });
-
-        it("Should allow registering a normal user", async () => {
+        async function logIn() {
+            await userManager.create("admin", "password", [ "admins" ]);
             const { body } = await request(TestServer)
-                .post("/users/signup")
+                .post("/users/login")
                 .send({
-                    username: "user1",
-                    password: "hello_world",
-                    groups: [ "users" ]
+                    username: "admin",
+                    password: "password"
                 })
                 .expect(200);
+            return body;
+        }
 
-            const { authenticated, token, user } = body;
-
-            expect(authenticated).to.be.true;
-            expect(token).to.be.a('string');
-            expect(token.length).to.be.greaterThan(0);
-            expect(user).to.be.an('object');
-            expect(user.username).to.equal("user1");
-            expect(user._id.length).to.be.greaterThan(0);
-        });
-
-        it("Should prevent registering a user with an existing username", async () => {
-            await userManager.create("user1", "password", [ "admins" ]);
-            await request(TestServer)
-                .post("/users/signup")
-                .send({
-                    username: "user1",
-                    password: "hello_worldzz",
-                    groups: [ "users" ]
-                })
-                .expect(409);
-        });
+        it("Should allow users to refresh their jwt token", async () => {
+            const { token, refreshToken } = await logIn();
+            expect(refreshToken).to.be.a('string');
 
-    })
+            const refreshResponse = await request(TestServer)
+                    .post("/users/refresh")
+                    .send({ refreshToken })
+                    .expect(200);
 
-    describe("Global Webservice security /rest/:resource", () => {
+            const refreshed = refreshResponse.body;
+            expect(refreshed.token).to.be.a('string');
+            expect(refreshed.token !== token).to.be.true;
+            expect(refreshed.refreshToken !== refreshToken).to.be.true;
+            expect(refreshed.user.username).to.equal("admin");
 
-        before(async () => {
-            await pocket.resource('_groups').create({ name: 'specialGroup' });
-            await pocket.resource('_groups').create({ name: 'noPermissionsGroup', permissions: {} });
-            await pocket.resource('_groups').create({
-                name: 'readGroup',
-                permissions: {
-                    'posts': ['read']
-                }
-            });
-            await pocket.resource('_groups').create({
-                name: 'createGroup',
-                permissions: {
-                    'posts': ['create']
-                }
-            });
+            await request(TestServer)
+                .get("/users/status")
+                .set('Authorization', 'Bearer ' + refreshed.token)
+                .expect(200)
+                .then(({ body }) => expect(body.authenticated).to.be.true);
         });
 
-        beforeEach(async () => {
-            config.testing.disableAuthentication = false;
-            await userManager.create("adminUser", "password", [ "admins" ]),
-            await userManager.create("noPermissionUser", "password", [ "noPermissionsGroup" ]),
-            await userManager.create("readUser", "password", [ "users" ]),
-            await userManager.create("createUser", "password", [ "createGroup" ]),
-            await userManager.create("specialGroupUser", "password", [ "specialGroup" ])
-        })
-
-        afterEach(async () => {
-            await userManager.resource.drop();
-            config.testing.disableAuthentication = true;
-        })
+        it("Should revoke the session when an old refresh token is reused", async () => {
+            const { refreshToken } = await logIn();
 
-        async function logIn(username, password) {
             const { body } = await request(TestServer)
-                .post("/users/login")
-                .send({ username, password })
+                .post("/users/refresh")
+                .send({ refreshToken })
                 .expect(200);
-            return body.token;
-        }
 
-        it("Should fail to create an item when not logged in", async () => {
             await request(TestServer)
-                .post(`/rest/posts`)
-                .send(sampleData)
+                .post("/users/refresh")
+                .send({ refreshToken })
                 .expect(401);
-        })
 
-        it("Should fail to update an item when not logged in", async () => {
-            let post = await createPost();
             await request(TestServer)
-                .post(`/rest/posts/${post._id}`)
-                .send({ message: 'new message' })
+                .post("/users/refresh")
+                .send({ refreshToken: body.refreshToken })
                 .expect(401);
-        })
 
-        it("Should fail to read an item when not logged in", async () => {
-            let post = await createPost();
             await request(TestServer)
-                .get(`/rest/posts/${post._id}`)
-                .expect(401);
-        })
+                .get("/users/status")
+                .set('Authorization', 'Bearer ' + body.token)
+                .expect(200)
+                .then(({ body }) => expect(body.authenticated).to.be.false);
+        });
 
-        it("Should fail to delete an item when not logged in", async () => {
-            let post = await createPost();
-            await request(TestServer)
-                .delete(`/rest/posts/${post._id}`)
-                .expect(401);
-        })
+        it("Should revoke the session on logout", async () => {
+            const { token, refreshToken } = await logIn();
 
-        it("Should only be able to read items with READ permission", async () => {
-            const tokenA = await logIn("noPermissionUser", "password");
             await request(TestServer)
-                .get(`/rest/posts`)
-                .set('Authorization', 'Bearer ' + tokenA)
-                .expect(403);
+                .post("/users/logout")
+                .set('Authorization', 'Bearer ' + token)
+                .expect(200);
 
-            const tokenB = await logIn("readUser", "password");
-            await request(TestServer)
-                .get(`/rest/posts`)
-                .set('Authorization', 'Bearer ' + tokenB)
+            const { body } = await request(TestServer)
+                .get("/users/status")
+                .set('Authorization', 'Bearer ' + token)
                 .expect(200);
-        })
+            expect(body.authenticated).to.be.false;
 
-        it("Should only be able to create items with CREATE permission", async () => {
-            const tokenA = await logIn("noPermissionUser", "password");
             await request(TestServer)
-                .post(`/rest/posts`)
-                .set('Authorization', 'Bearer ' + tokenA)
-                .send(sampleData)
-                .expect(403);
+                .post("/users/refresh")
+                .send({ refreshToken })
+                .expect(401);
+        });
+
+        it("Should revoke all the sessions of a user", async () => {
+            const first = await logIn();
+            const { body: second } = await request(TestServer)
+                .post("/users/login")
+                .send({ username: "admin", password: "password" })
+                .expect(200);
 
-            const tokenB = await logIn("createUser", "password");
             await request(TestServer)
-                .post(`/rest/posts`)
-                .set('Authorization', 'Bearer ' + tokenB)
-                .send(sampleData)
+                .post("/users/logout/all")
+                .set('Authorization', 'Bearer ' + second.token)
                 .expect(200);
-        })
 
-        it("Should only be able to create items if the group is whitelisted by the schema", async () => {
-            const token = await logIn("specialGroupUser", "password");
+            for (let { token, refreshToken } of [ first, second ]) {
+                const { body } = await request(TestServer)
+                    .get("/users/status")
+                    .set('Authorization', 'Bearer ' + token)
+                    .expect(200);
+                expect(body.authenticated).to.be.false;
 
-            pocket.resource('posts').schema.allow('specialGroup', ['create']);
+                await request(TestServer)
+                    .post("/users/refresh")
+                    .send({ refreshToken })
+                    .expect(401);
+            }
+        });
 
-            await request(TestServer)
-                .post(`/rest/posts`)
-                .set('Authorization', 'Bearer ' + token)
-                .send(sampleData)
+        it("Should change the password and revoke the other sessions", async () => {
+            const first = await logIn();
+            const { body: second } = await request(TestServer)
+                .post("/users/login")
+                .send({ username: "admin", password: "password" })
                 .expect(200);
-        })
+
+            await request(TestServer)
+                .post("/users/password")
+                .set('Authorization', 'Bearer ' + second.token)
+                .send({ currentPassword: "wrong", newPassword: "new_password" })
+                .expect(400);
+
+            await request(TestServer)
+                .post("/users/password")
+                .set('Authorization', 'Bearer ' + second.token)
+                .send({ currentPassword: "password", newPassword: "new_password" })
+                .expect(200);
+
+            await request(TestServer)
+                .get("/users/status")
+                .set('Authorization', 'Bearer ' + first.token)
+                .expect(200)
+                .then(({ body }) => expect(body.authenticated).to.be.false);
+
+            await request(TestServer)
+                .get("/users/status")
+                .set('Authorization', 'Bearer ' + second.token)
+                .expect(200)
+                .then(({ body }) => expect(body.authenticated).to.be.true);
+
+            await request(TestServer)
+                .post("/users/login")
+                .send({ username: "admin", password: "password" })
+                .expect(401);
+
+            await request(TestServer)
+                .post("/users/login")
+                .send({ username: "admin", password: "new_password" })
+                .expect(200);
+        });
+
+        describe("Password reset", () => {
+
+            let deliveries = [];
+            let delivered = Q.defer();
+
+            // Tokens are delivered in the background, after the response
+            const forgot = async (username) => {
+                await request(TestServer)
+                    .post("/users/password/forgot")
+                    .send({ username })
+                    .expect(200);
+                return username === "nobody" ? null : delivered.promise;
+            };
+
+            before(() => {
+                config.passwordReset = {
+                    deliver: async (delivery) => {
+                        deliveries.push(delivery);
+                        delivered.resolve(delivery);
+                    }
+                };
+            });
+
+            after(() => {
+                delete config.passwordReset;
+            });
+
+            afterEach(() => {
+                deliveries = [];
+                delivered = Q.defer();
+                return userManager.resets.drop();
+            });
+
+            it("Should send a reset token only to existing users", async () => {
+                await logIn();
+
+                await forgot("nobody");
+                await forgot("admin");
+                expect(deliveries).to.have.lengthOf(1);
+                expect(deliveries[0].user.username).to.equal("admin");
+                expect(deliveries[0].token).to.be.a('string');
+
+                const [ stored ] = await userManager.resets.find({}, { rawObject: true });
+                expect(stored.hash).not.to.contain(deliveries[0].token.split('.')[1]);
+            });
+
+            it("Should reset the password once and revoke the sessions of the user", async () => {
+                const { token, refreshToken } = await logIn();
+                await forgot("admin");
+
+                const resetToken = deliveries[0].token;
+                await request(TestServer)
+                    .post("/users/password/reset")
+                    .send({ token: resetToken.split('.')[0] + '.wrongsecret', password: "new_password" })
+                    .expect(400);
+
+                await request(TestServer)
+                    .post("/users/password/reset")
+                    .send({ token: resetToken, password: "new_password" })
+                    .expect(200);
+
+                await request(TestServer)
+                    .post("/users/password/reset")
+                    .send({ token: resetToken, password: "other_password" })
+                    .expect(400);
+
+                await request(TestServer)
+                    .get("/users/status")
+                    .set('Authorization', 'Bearer ' + token)
+                    .expect(200)
+                    .then(({ body }) => expect(body.authenticated).to.be.false);
+
+                await request(TestServer)
+                    .post("/users/refresh")
+                    .send({ refreshToken })
+                    .expect(401);
+
+                await request(TestServer)
+                    .post("/users/login")
+                    .send({ username: "admin", password: "new_password" })
+                    .expect(200);
+            });
+
+            it("Should reject expired reset tokens", async () => {
+                await logIn();
+                config.passwordReset.expiresIn = -1;
+                try {
+                    await forgot("admin");
+                } finally {
+                    delete config.passwordReset.expiresIn;
+                }
+
+                await request(TestServer)
+                    .post("/users/password/reset")
+                    .send({ token: deliveries[0].token, password: "new_password" })
+                    .expect(400);
+            });
+
+            it("Should not report the delivery failures to the client", async () => {
+                await logIn();
+                const { deliver } = config.passwordReset;
+                config.passwordReset.deliver = async (delivery) => {
+                    delivered.resolve(delivery);
+                    throw new Error("SMTP server unavailable");
+                };
+
+                try {
+                    const { body } = await request(TestServer)
+                        .post("/users/password/forgot")
+                        .send({ username: "admin" })
+                        .expect(200);
+                    expect(body).to.be.empty;
+                    await delivered.promise;
+                } finally {
+                    config.passwordReset.deliver = deliver;
+                }
+            });
+        });
+
+        describe("Brute force protection", () => {
+
+            const attempt = (username, password) => request(TestServer)
+                .post("/users/login")
+                .send({ username, password });
+
+            before(() => {
+                config.loginAttempts = {
+                    freeAttempts: 1,
+                    delay: 0.05,
+                    maxDelay: 0.1,
+                    maxAttempts: 4,
+                    maxAttemptsPerIp: 6
+                };
+            });
+
+            after(() => {
+                delete config.loginAttempts;
+                return pocket.throttle.resource.drop();
+            });
+
+            beforeEach(() => {
+                return pocket.throttle.resource.drop();
+            });
+
+            it("Should delay the responses after a few failed attempts", async () => {
+                await logIn();
+                await attempt("admin", "wrong").expect(401);
+                await attempt("admin", "wrong").expect(401);
+
+                let start = Date.now();
+                await attempt("admin", "wrong").expect(401);
+                expect(Date.now() - start).to.be.at.least(50);
+
+                // A successful login clears the failed attempts
+                await attempt("admin", "password").expect(200);
+
+                start = Date.now();
+                await attempt("admin", "wrong").expect(401);
+                expect(Date.now() - start).to.be.lessThan(50);
+            });
+
+            it("Should lock a user after too many failed attempts", async () => {
+                await logIn();
+                for (let i = 0; i < 4; ++i) {
+                    await attempt("admin", "wrong").expect(401);
+                }
+
+                expect(await pocket.throttle.isLocked("admin")).to.be.true;
+                await attempt("admin", "password").expect(423);
+            });
+
+            it("Should count the failed attempts made in parallel", async () => {
+                await Q.all(_.times(4, () => pocket.throttle.fail("admin", "10.0.0.1")));
+
+                expect(await pocket.throttle.isLocked("admin")).to.be.true;
+                const [ counter ] = await pocket.throttle.resource.find({ key: "ip:10.0.0.1" });
+                expect(counter.failures).to.equal(4);
+            });
+
+            it("Should lock an IP address after too many failed attempts", async () => {
+                await logIn();
+                for (let i = 0; i < 6; ++i) {
+                    await attempt(`user${i}`, "wrong").expect(401);
+                }
+
+                expect(await pocket.throttle.isLocked("admin")).to.be.false;
+                await attempt("admin", "password").expect(423);
+            });
+
+            it("Should allow admins to unlock a user", async () => {
+                const { token, user } = await logIn();
+                for (let i = 0; i < 4; ++i) {
+                    await attempt("admin", "wrong").expect(401);
+                }
+
+                await request(TestServer)
+                    .post(`/users/${user._id}/unlock`)
+                    .set('Authorization', 'Bearer ' + token)
+                    .expect(200);
+
+                await attempt("admin", "password").expect(200);
+            });
+        });
+
+        it("Should not allow registering an admin if there is already one", async () => {
+            await userManager.create("admin1", "password", [ "admins" ]);
+            await request(TestServer)
+                .post("/users/signup")
+                .send({
+                    username: "admin2",
+                    password: "password2",
+                    groups: [ "admins", "users" ]
+                })
+                .expect(401);
+        });
+
+        it("Should allow registering a normal user", async () => {
+            const { body } = await request(TestServer)
+                .post("/users/signup")
+                .send({
+                    username: "user1",
+                    password: "hello_world",
+                    groups: [ "users" ]
+                })
+                .expect(200);
+
+            const { authenticated, token, user } = body;
+
+            expect(authenticated).to.be.true;
+            expect(token).to.be.a('string');
+            expect(token.length).to.be.greaterThan(0);
+            expect(user).to.be.an('object');
+            expect(user.username).to.equal("user1");
+            expect(user._id.length).to.be.greaterThan(0);
+        });
+
+        it("Should prevent registering a user with an existing username", async () => {
+            await userManager.create("user1", "password", [ "admins" ]);
+            await request(TestServer)
+                .post("/users/signup")
+                .send({
+                    username: "user1",
+                    password: "hello_worldzz",
+                    groups: [ "users" ]
+                })
+                .expect(409);
+        });
+
+    })
+
+    describe("Global Webservice security /rest/:resource", () => {
+
+        before(async () => {
+            await pocket.resource('_groups').create({ name: 'specialGroup' });
+            await pocket.resource('_groups').create({ name: 'noPermissionsGroup', permissions: {} });
+            await pocket.resource('_groups').create({
+                name: 'readGroup',
+                permissions: {
+                    'posts': ['read']
+                }
+            });
+            await pocket.resource('_groups').create({
+                name: 'createGroup',
+                permissions: {
+                    'posts': ['create']
+                }
+            });
+        });
+
+        beforeEach(async () => {
+            config.testing.disableAuthentication = false;
+            await userManager.create("adminUser", "password", [ "admins" ]),
+            await userManager.create("noPermissionUser", "password", [ "noPermissionsGroup" ]),
+            await userManager.create("readUser", "password", [ "users" ]),
+            await userManager.create("createUser", "password", [ "createGroup" ]),
+            await userManager.create("specialGroupUser", "password", [ "specialGroup" ])
+        })
+
+        afterEach(async () => {
+            await userManager.resource.drop();
+            config.testing.disableAuthentication = true;
+        })
+
+        async function logIn(username, password) {
+            const { body } = await request(TestServer)
+                .post("/users/login")
+                .send({ username, password })
+                .expect(200);
+            return body.token;
+        }
+
+        it("Should fail to create an item when not logged in", async () => {
+            await request(TestServer)
+                .post(`/rest/posts`)
+                .send(sampleData)
+                .expect(401);
+        })
+
+        it("Should fail to update an item when not logged in", async () => {
+            let post = await createPost();
+            await request(TestServer)
+                .post(`/rest/posts/${post._id}`)
+                .send({ message: 'new message' })
+                .expect(401);
+        })
+
+        it("Should fail to read an item when not logged in", async () => {
+            let post = await createPost();
+            await request(TestServer)
+                .get(`/rest/posts/${post._id}`)
+                .expect(401);
+        })
+
+        it("Should fail to delete an item when not logged in", async () => {
+            let post = await createPost();
+            await request(TestServer)
+                .delete(`/rest/posts/${post._id}`)
+                .expect(401);
+        })
+
+        it("Should only be able to read items with READ permission", async () => {
+            const tokenA = await logIn("noPermissionUser", "password");
+            await request(TestServer)
+                .get(`/rest/posts`)
+                .set('Authorization', 'Bearer ' + tokenA)
+                .expect(403);
+
+            const tokenB = await logIn("readUser", "password");
+            await request(TestServer)
+                .get(`/rest/posts`)
+                .set('Authorization', 'Bearer ' + tokenB)
+                .expect(200);
+        })
+
+        it("Should only be able to create items with CREATE permission", async () => {
+            const tokenA = await logIn("noPermissionUser", "password");
+            await request(TestServer)
+                .post(`/rest/posts`)
+                .set('Authorization', 'Bearer ' + tokenA)
+                .send(sampleData)
+                .expect(403);
+
+            const tokenB = await logIn("createUser", "password");
+            await request(TestServer)
+                .post(`/rest/posts`)
+                .set('Authorization', 'Bearer ' + tokenB)
+                .send(sampleData)
+                .expect(200);
+        })
+
+        it("Should only be able to create items if the group is whitelisted by the schema", async () => {
+            const token = await logIn("specialGroupUser", "password");
+
+            pocket.resource('posts').schema.allow('specialGroup', ['create']);
+
+            await request(TestServer)
+                .post(`/rest/posts`)
+                .set('Authorization', 'Bearer ' + token)
+                .send(sampleData)
+                .expect(200);
+        })
 
         it("Should not be allowed to access private CMS resources as a non-admin (e.g /rest/_users)", async () => {
             const token = await logIn("specialGroupUser", "password");
 
-            // Rights are ignored for private resources
-            pocket.resource('_users').schema.allow('specialGroup', ['read']);
+            // Rights are ignored for private resources
+            pocket.resource('_users').schema.allow('specialGroup', ['read']);
+
+            await request(TestServer)
+                .get(`/rest/_users`)
+                .set('Authorization', 'Bearer ' + token)
+                .expect(403);
+        })
+
+        it("Should populate references the user is allowed to read", async () => {
+            const admin = await userManager.auth("adminUser", "password");
+            await pocket.resource('posts').create(_.extend({ author: admin.id }, sampleData));
+
+            const readToken = await logIn("readUser", "password");
+            await request(TestServer)
+                .get(`/rest/posts`)
+                .query({ populate: 'author' })
+                .set('Authorization', 'Bearer ' + readToken)
+                .expect(403);
+
+            const adminToken = await logIn("adminUser", "password");
+            const { body } = await request(TestServer)
+                .get(`/rest/posts`)
+                .query({ populate: 'author' })
+                .set('Authorization', 'Bearer ' + adminToken)
+                .expect(200);
+
+            expect(body[0].author).to.be.an('object');
+            expect(body[0].author.username).to.equal('adminUser');
+            expect(body[0].author).not.to.have.property('hash');
+        })
+
+        it("Should only show the published records to users who cannot edit them", async () => {
+            const stories = pocket.resource('stories') || pocket.resource('stories', {
+                publishing: true,
+                fields: { title: "string" }
+            });
+            await stories.create({ title: "Draft" });
+            const story = await stories.create({ title: "Public" });
 
+            const adminToken = await logIn("adminUser", "password");
             await request(TestServer)
-                .get(`/rest/_users`)
-                .set('Authorization', 'Bearer ' + token)
+                .post(`/rest/stories/${story._id}/publish`)
+                .set('Authorization', 'Bearer ' + adminToken)
+                .expect(200);
+
+            let { body } = await request(TestServer)
+                .get(`/rest/stories`)
+                .set('Authorization', 'Bearer ' + adminToken)
+                .expect(200);
+            expect(body).to.have.lengthOf(2);
+
+            const readToken = await logIn("readUser", "password");
+            ({ body } = await request(TestServer)
+                .get(`/rest/stories`)
+                .set('Authorization', 'Bearer ' + readToken)
+                .expect(200));
+            expect(_.map(body, 'title')).to.deep.equal([ 'Public' ]);
+
+            await request(TestServer)
+                .post(`/rest/stories/${story._id}/unpublish`)
+                .set('Authorization', 'Bearer ' + readToken)
+                .expect(403);
+        })
+
+        it("Should apply the field permissions of the schema", async () => {
+            const invoices = pocket.resource('invoices') || pocket.resource('invoices', {
+                fields: {
+                    customer: "string",
+                    notes: { type: "string", access: { read: [ "admins" ], write: [ "admins" ] } }
+                }
+            });
+            invoices.schema.allow('users', [ 'read', 'create' ]);
+            const invoice = await invoices.create({ customer: "ACME", notes: "Pays late" });
+
+            const readToken = await logIn("readUser", "password");
+            const { body } = await request(TestServer)
+                .get(`/rest/invoices/${invoice._id}`)
+                .set('Authorization', 'Bearer ' + readToken)
+                .expect(200);
+            expect(body.customer).to.equal("ACME");
+            expect(body).not.to.have.property('notes');
+
+            await request(TestServer)
+                .post(`/rest/invoices`)
+                .set('Authorization', 'Bearer ' + readToken)
+                .send({ customer: "Initech", notes: "Friendly" })
+                .expect(403);
+
+            const adminToken = await logIn("adminUser", "password");
+            await request(TestServer)
+                .get(`/rest/invoices/${invoice._id}`)
+                .set('Authorization', 'Bearer ' + adminToken)
+                .expect(200)
+                .then(({ body }) => expect(body.notes).to.equal("Pays late"));
+        })
+
+        it("Should apply the ownership rules of the schema", async () => {
+            const tasks = pocket.resource('tasks') || pocket.resource('tasks', {
+                ownership: "private",
+                fields: { title: "string" }
+            });
+            tasks.schema.allow('users', [ 'read', 'create', 'update', 'remove' ]);
+
+            const owner = await userManager.create("taskOwner", "password", [ "users" ]);
+            const task = await tasks.create({ title: "Mine" }, { userId: owner.id });
+            const readUser = await userManager.resource.findOne({ username: "readUser" });
+
+            const readToken = await logIn("readUser", "password");
+            const as = (method, url) => request(TestServer)[method](url).set('Authorization', 'Bearer ' + readToken);
+
+            await as('get', `/rest/tasks/${task._id}`).expect(404);
+            await as('put', `/rest/tasks/${task._id}`).send({ title: "Hacked" }).expect(404);
+            await as('delete', `/rest/tasks/${task._id}`).expect(200);
+            await as('get', `/rest/users/${owner.id}/tasks`).expect(403);
+            await as('post', `/rest/users/${owner.id}/tasks`).send({ title: "Fake" }).expect(403);
+
+            const { body } = await as('post', `/rest/users/${readUser._id}/tasks`).send({ title: "Own" }).expect(200);
+            expect(body._createdBy).to.equal(readUser._id);
+            await as('get', `/rest/tasks`).expect(200).then(({ body }) => {
+                expect(_.map(body, 'title')).to.deep.equal([ "Own" ]);
+            });
+
+            const ownerToken = await logIn("taskOwner", "password");
+            await request(TestServer)
+                .put(`/rest/tasks/${task._id}`)
+                .set('Authorization', 'Bearer ' + ownerToken)
+                .send({ title: "Edited" })
+                .expect(200);
+        })
+
+        it("Should not let users delete the attachments of records they don't own", async () => {
+            const albums = pocket.resource('albums') || pocket.resource('albums', {
+                ownership: "write",
+                fields: { title: "string" }
+            });
+            albums.schema.allow('users', [ 'read', 'create', 'update', 'remove' ]);
+
+            const owner = await userManager.create("albumOwner", "password", [ "users" ]);
+            const album = await albums.create({ title: "Mine" }, { userId: owner.id });
+            const { _attachments: [ attachment ] } = await albums.attach(album._id, "cover", testFile('sample_image.png'));
+            const url = `/rest/albums/${album._id}/attachments/${attachment.id}`;
+
+            const readToken = await logIn("readUser", "password");
+            await request(TestServer)
+                .delete(url)
+                .set('Authorization', 'Bearer ' + readToken)
+                .expect(403);
+
+            const files = _.map(await pocket.fileStore.list(), 'file');
+            expect(files).to.include(attachment.file);
+            expect((await albums.get(album._id))._attachments).to.have.lengthOf(1);
+
+            const ownerToken = await logIn("albumOwner", "password");
+            await request(TestServer)
+                .delete(url)
+                .set('Authorization', 'Bearer ' + ownerToken)
+                .expect(200);
+
+            expect(_.map(await pocket.fileStore.list(), 'file')).not.to.include(attachment.file);
+        })
+
+        it("Should only let the users allowed to update a record upload its attachments", async () => {
+            const contacts = pocket.resource('contacts') || pocket.resource('contacts', {
+                fields: { email: "string" }
+            });
+            contacts.schema.allow('anonymous', [ 'create' ]);
+            contacts.schema.allow('users', [ 'create' ]);
+
+            const contact = await contacts.create({ email: "john@example.com" });
+            const url = `/rest/contacts/${contact._id}/attachments`;
+
+            await request(TestServer)
+                .post(url)
+                .attach('myfile', testFile('sample_image.png'))
+                .expect(401);
+
+            const readToken = await logIn("readUser", "password");
+            await request(TestServer)
+                .post(url)
+                .set('Authorization', 'Bearer ' + readToken)
+                .attach('myfile', testFile('sample_image.png'))
+                .expect(403);
+
+            expect((await contacts.get(contact._id))._attachments).to.have.lengthOf(0);
+        })
+
+        it("Should only list the trash to the users allowed to remove records", async () => {
+            const pages = pocket.resource('pages') || pocket.resource('pages', {
+                softDelete: true,
+                fields: { title: "string" }
+            });
+            pages.schema.allow('anonymous', [ 'read' ]);
+            pages.schema.allow('users', [ 'read' ]);
+
+            const page = await pages.create({ title: "Draft" });
+            await pages.removeOne(page._id);
+
+            await request(TestServer).get(`/rest/pages`).expect(200);
+            await request(TestServer).get(`/rest/pages?trash=true`).expect(401);
+
+            const readToken = await logIn("readUser", "password");
+            await request(TestServer)
+                .get(`/rest/pages?trash=true`)
+                .set('Authorization', 'Bearer ' + readToken)
                 .expect(403);
+
+            const adminToken = await logIn("adminUser", "password");
+            const { body } = await request(TestServer)
+                .get(`/rest/pages?trash=true`)
+                .set('Authorization', 'Bearer ' + adminToken)
+                .expect(200);
+            expect(_.map(body, '_id')).to.deep.equal([ page._id ]);
+        })
+
+        it("Should allow anonymous requests on the resources opened to the anonymous group", async () => {
+            const messages = pocket.resource('messages') || pocket.resource('messages', {
+                fields: { email: "string", text: "string" }
+            });
+            messages.schema.allow('anonymous', [ 'create' ]);
+            messages.schema.allow('*', [ 'read' ]);
+
+            const { body } = await request(TestServer)
+                .post(`/rest/messages`)
+                .send({ email: "john@example.com", text: "Hello" })
+                .expect(200);
+            expect(body._createdBy).to.be.null;
+
+            // The wildcard only applies to authenticated users
+            await request(TestServer).get(`/rest/messages`).expect(401);
+            await request(TestServer).get(`/rest/messages/${body._id}`).expect(401);
+            await request(TestServer).put(`/rest/messages/${body._id}`).send({ text: "Bye" }).expect(401);
+
+            const token = await logIn("readUser", "password");
+            await request(TestServer)
+                .get(`/rest/messages`)
+                .set('Authorization', 'Bearer ' + token)
+                .expect(200)
+                .then(({ body }) => expect(body).to.have.lengthOf(1));
+
+            // Permissions can also be granted to the anonymous group at runtime
+            await request(TestServer).get(`/rest/posts`).expect(401);
+            await userManager.grant('anonymous', 'posts', [ 'read' ]);
+            try {
+                await request(TestServer).get(`/rest/posts`).expect(200);
+                await request(TestServer).post(`/rest/posts`).send(sampleData).expect(401);
+            } finally {
+                await userManager.revoke('anonymous', 'posts');
+            }
+
+            await expect(userManager.create("ghost", "password", [ "anonymous" ])).to.be.rejected;
+        })
+
+        it("Should apply the custom rules of the pocket instance", async () => {
+            const post = await createPost();
+            const token = await logIn("adminUser", "password");
+
+            pocket.policies.rule("Posts cannot be removed", (req, allow, deny) => {
+                if (req.ctx.action === 'remove') {
+                    deny();
+                }
+            }, { resources: 'posts', before: "Admins have all access" });
+
+            try {
+                await request(TestServer)
+                    .delete(`/rest/posts/${post._id}`)
+                    .set('Authorization', 'Bearer ' + token)
+                    .expect(403);
+                await request(TestServer)
+                    .get(`/rest/posts/${post._id}`)
+                    .set('Authorization', 'Bearer ' + token)
+                    .expect(200);
+            } finally {
+                pocket.policies.remove("Posts cannot be removed");
+            }
+
+            await request(TestServer)
+                .delete(`/rest/posts/${post._id}`)
+                .set('Authorization', 'Bearer ' + token)
+                .expect(200);
         })
 
         it("Should permit creating an item after logging in as Admin", async () => {
@@ -541,6 +1403,320 @@ describe("Rest", () => {
         })
     })
 
+    describe("API keys /users/apikeys", () => {
+
+        let adminToken = null;
+
+        beforeEach(async () => {
+            config.testing.disableAuthentication = false;
+            await userManager.create("keysAdmin", "password", [ "admins" ]);
+            await userManager.create("keysReader", "password", [ "users" ]);
+
+            const { body } = await request(TestServer)
+                .post("/users/login")
+                .send({ username: "keysAdmin", password: "password" })
+                .expect(200);
+            adminToken = body.token;
+        });
+
+        afterEach(async () => {
+            await userManager.resource.drop();
+            await pocket.resource('_apikeys').drop();
+            config.testing.disableAuthentication = true;
+        });
+
+        async function createKey(params) {
+            const { body } = await request(TestServer)
+                .post("/users/apikeys")
+                .set('Authorization', 'Bearer ' + adminToken)
+                .send(params)
+                .expect(200);
+            return body;
+        }
+
+        it("Should generate a key which is only returned once", async () => {
+            const { key, apiKey } = await createKey({ name: "service" });
+            expect(key).to.be.a('string');
+            expect(apiKey.name).to.equal("service");
+            expect(apiKey.groups).to.deep.equal([ "users" ]);
+            expect(apiKey).not.to.have.property('hash');
+
+            const stored = await pocket.resource('_apikeys').findOne({ _id: apiKey._id }, { rawObject: true });
+            expect(stored.hash).to.be.a('string');
+            expect(stored.hash).not.to.contain(key.split('.')[1]);
+
+            const { body } = await request(TestServer)
+                .get("/users/apikeys")
+                .set('Authorization', 'Bearer ' + adminToken)
+                .expect(200);
+            expect(body).to.have.lengthOf(1);
+            expect(body[0]).not.to.have.property('hash');
+        })
+
+        it("Should authenticate requests with the X-API-Key and Authorization headers", async () => {
+            const { key } = await createKey({ name: "reader" });
+            await createPost();
+
+            let { body } = await request(TestServer)
+                .get(`/rest/posts`)
+                .set('X-API-Key', key)
+                .expect(200);
+            expect(body).to.have.lengthOf(1);
+
+            await request(TestServer)
+                .get(`/rest/posts`)
+                .set('Authorization', 'ApiKey ' + key)
+                .expect(200);
+
+            await request(TestServer)
+                .get(`/rest/posts`)
+                .set('X-API-Key', key.split('.')[0] + '.wrongsecret')
+                .expect(401);
+        })
+
+        it("Should restrict keys to their scopes", async () => {
+            const { key } = await createKey({
+                name: "scoped",
+                groups: [ "admins" ],
+                resources: [ "posts" ],
+                actions: [ "read" ]
+            });
+
+            await request(TestServer).get(`/rest/posts`).set('X-API-Key', key).expect(200);
+            await request(TestServer).post(`/rest/posts`).set('X-API-Key', key).send(sampleData).expect(403);
+            await request(TestServer).get(`/rest/_users`).set('X-API-Key', key).expect(403);
+        })
+
+        it("Should reject expired and revoked keys", async () => {
+            const expired = await createKey({ name: "expired", expiresAt: Date.now() - 1000 });
+            await request(TestServer).get(`/rest/posts`).set('X-API-Key', expired.key).expect(401);
+
+            const { key, apiKey } = await createKey({ name: "revoked" });
+            await request(TestServer).get(`/rest/posts`).set('X-API-Key', key).expect(200);
+
+            await request(TestServer)
+                .post(`/users/apikeys/${apiKey._id}/revoke`)
+                .set('Authorization', 'Bearer ' + adminToken)
+                .expect(200);
+
+            await request(TestServer).get(`/rest/posts`).set('X-API-Key', key).expect(401);
+        })
+
+        it("Should only allow admins to manage keys", async () => {
+            const { body } = await request(TestServer)
+                .post("/users/login")
+                .send({ username: "keysReader", password: "password" })
+                .expect(200);
+
+            await request(TestServer)
+                .post("/users/apikeys")
+                .set('Authorization', 'Bearer ' + body.token)
+                .send({ name: "sneaky" })
+                .expect(403);
+
+            await request(TestServer)
+                .get("/users/apikeys")
+                .expect(403);
+        })
+    })
+
+    describe("Groups /users/groups", () => {
+
+        let adminToken = null;
+        let admin = null;
+
+        beforeEach(async () => {
+            config.testing.disableAuthentication = false;
+            admin = await userManager.create("groupsAdmin", "password", [ "admins" ]);
+
+            const { body } = await request(TestServer)
+                .post("/users/login")
+                .send({ username: "groupsAdmin", password: "password" })
+                .expect(200);
+            adminToken = body.token;
+        });
+
+        afterEach(async () => {
+            await userManager.resource.drop();
+            await pocket.resource('_groups').remove({ name: { $in: [ "editors", "writers" ] } });
+            config.testing.disableAuthentication = true;
+        });
+
+        function asAdmin(method, url) {
+            return request(TestServer)[method](url).set('Authorization', 'Bearer ' + adminToken);
+        }
+
+        it("Should create, rename and delete groups", async () => {
+            await asAdmin('post', "/users/groups")
+                .send({ name: "editors", permissions: { posts: [ "read", "update" ] } })
+                .expect(200);
+            await asAdmin('post', "/users/groups").send({ name: "editors" }).expect(409);
+
+            const user = await userManager.create("editor", "password", [ "editors" ]);
+
+            const { body } = await asAdmin('put', "/users/groups/editors").send({ name: "writers" }).expect(200);
+            expect(body.name).to.equal("writers");
+            expect(body.permissions).to.deep.equal({ posts: [ "read", "update" ] });
+            expect((await userManager.resource.get(user.id)).groups).to.deep.equal([ "writers" ]);
+
+            await asAdmin('delete', "/users/groups/writers").expect(200);
+            await asAdmin('get', "/users/groups/writers").expect(404);
+            expect((await userManager.resource.get(user.id)).groups).to.deep.equal([]);
+        });
+
+        it("Should protect the built-in groups", async () => {
+            await asAdmin('put', "/users/groups/users").send({ name: "others" }).expect(403);
+            await asAdmin('delete', "/users/groups/admins").expect(403);
+            await asAdmin('post', "/users/groups/admins/grant").send({ resource: "posts", actions: [ "read" ] }).expect(403);
+            await asAdmin('delete', `/users/groups/admins/users/${admin.id}`).expect(403);
+        });
+
+        it("Should grant and revoke actions on resources", async () => {
+            await asAdmin('post', "/users/groups").send({ name: "editors" }).expect(200);
+
+            await asAdmin('post', "/users/groups/editors/grant")
+                .send({ resource: "unknown", actions: [ "read" ] })
+                .expect(400);
+            await asAdmin('post', "/users/groups/editors/grant")
+                .send({ resource: "posts", actions: [ "fly" ] })
+                .expect(400);
+
+            await asAdmin('post', "/users/groups/editors/grant")
+                .send({ resource: "posts", actions: [ "read", "create" ] })
+                .expect(200);
+            const { body } = await asAdmin('post', "/users/groups/editors/revoke")
+                .send({ resource: "posts", actions: [ "create" ] })
+                .expect(200);
+            expect(body.permissions).to.deep.equal({ posts: [ "read" ] });
+
+            const user = await userManager.create("editor", "password", [ "editors" ]);
+            const editor = userManager.fromRecord(await userManager.resource.get(user.id));
+            expect(await editor.isAllowed("read", "posts")).to.be.true;
+            expect(await editor.isAllowed("create", "posts")).to.be.false;
+        });
+
+        it("Should assign users to groups", async () => {
+            await asAdmin('post', "/users/groups").send({ name: "editors" }).expect(200);
+            const user = await userManager.create("editor", "password", [ "users" ]);
+
+            let { body } = await asAdmin('post', "/users/groups/editors/users").send({ userId: user.id }).expect(200);
+            expect(body.groups).to.deep.equal([ "users", "editors" ]);
+
+            ({ body } = await asAdmin('delete', `/users/groups/users/users/${user.id}`).expect(200));
+            expect(body.groups).to.deep.equal([ "editors" ]);
+
+            await asAdmin('post', "/users/groups/unknown/users").send({ userId: user.id }).expect(404);
+        });
+
+        it("Should only be accessible by admins", async () => {
+            await userManager.create("groupsReader", "password", [ "users" ]);
+            const { body } = await request(TestServer)
+                .post("/users/login")
+                .send({ username: "groupsReader", password: "password" })
+                .expect(200);
+
+            await request(TestServer)
+                .get("/users/groups")
+                .set('Authorization', 'Bearer ' + body.token)
+                .expect(403);
+        });
+    });
+
+    describe("Audit log /audit", () => {
+
+        beforeEach(async () => {
+            config.testing.disableAuthentication = false;
+            await pocket.audit.flush();
+            await pocket.resource('_audit').drop();
+            await userManager.create("auditAdmin", "password", [ "admins" ]);
+            await userManager.create("auditReader", "password", [ "users" ]);
+        });
+
+        afterEach(async () => {
+            await userManager.resource.drop();
+            await pocket.resource('_audit').drop();
+            config.testing.disableAuthentication = true;
+        });
+
+        async function logIn(username, password) {
+            const { body } = await request(TestServer)
+                .post("/users/login")
+                .send({ username, password })
+                .expect(200);
+            return body.token;
+        }
+
+        it("Should log the write operations made through the rest api", async () => {
+            const token = await logIn("auditAdmin", "password");
+            const admin = await userManager.auth("auditAdmin", "password");
+            const auth  = { 'Authorization': 'Bearer ' + token };
+
+            let { body: post } = await request(TestServer).post(`/rest/posts`).set(auth).send(sampleData).expect(200);
+            await request(TestServer).put(`/rest/posts/${post._id}`).set(auth).send({ message: 'updated' }).expect(200);
+            ({ body: post } = await request(TestServer)
+                .post(`/rest/posts/${post._id}/attachments`)
+                .set(auth)
+                .attach('myfile', testFile('sample_image.png'))
+                .expect(200));
+            await request(TestServer).delete(`/rest/posts/${post._id}/attachments/${post._attachments[0].id}`).set(auth).expect(200);
+            await request(TestServer).delete(`/rest/posts/${post._id}`).set(auth).expect(200);
+
+            await pocket.audit.flush();
+
+            const { body } = await request(TestServer)
+                .get(`/audit`)
+                .query({ resource: 'posts' })
+                .set(auth)
+                .expect(200);
+
+            expect(_.map(body, 'action')).to.deep.equal([ 'remove', 'deleteAttachment', 'attach', 'update', 'create' ]);
+            _.each(body, entry => {
+                expect(entry.record).to.equal(post._id);
+                expect(entry.user).to.equal(admin.id);
+                expect(entry.username).to.equal('auditAdmin');
+                expect(entry.ip).to.be.a('string');
+            });
+            expect(body[1].fields).to.deep.equal([ '_attachments' ]);
+            expect(body[3].fields).to.deep.equal([ 'message' ]);
+            expect(body[4].fields).to.have.members([ 'type', 'message' ]);
+        })
+
+        it("Should filter the audit log", async () => {
+            const token = await logIn("auditAdmin", "password");
+            await createPosts(3);
+            await pocket.resource('posts').remove({}, { multi: true });
+            await pocket.audit.flush();
+
+            const { body, headers } = await request(TestServer)
+                .get(`/audit`)
+                .query({ action: 'remove', pageSize: 2, page: 1 })
+                .set('Authorization', 'Bearer ' + token)
+                .expect(200);
+
+            expect(body).to.have.lengthOf(2);
+            expect(headers['x-total-pages']).to.equal('2');
+            _.each(body, entry => expect(entry.action).to.equal('remove'));
+
+            await request(TestServer)
+                .get(`/audit`)
+                .query({ filter: { $where: 'true' } })
+                .set('Authorization', 'Bearer ' + token)
+                .expect(400);
+        })
+
+        it("Should only be accessible by admins", async () => {
+            const token = await logIn("auditReader", "password");
+            await request(TestServer)
+                .get(`/audit`)
+                .set('Authorization', 'Bearer ' + token)
+                .expect(403);
+
+            await request(TestServer)
+                .get(`/audit`)
+                .expect(403);
+        })
+    })
+
     describe("User api prefix (/rest/users/:userId/:resource)", () => {
 
         let uid = null;
@@ -5,6 +5,10 @@ module.exports = {
       options: ["media", "statistics", "achievement"]
     },
     message: "string",
+    author: {
+      type: "ref",
+      resource: "_users"
+    },
     stats: {
       type: "list",
       minItems: 1,
@@ -1,7 +1,6 @@
 const _                    = require("lodash");
 const { expect }           = require("chai");
 const Q                    = require("q");
-const config               = require("../src/utils/config");
 const Pocket               = require('../src/pocket');
 
 describe("Users", () => {
@@ -52,34 +51,37 @@ describe("Users", () => {
             .notify(done)
     })
 
-    it("Should fail to load a user fro, an expired JWT token", (done) => {
+    it("Should fail to load a user fro, an expired JWT token", async () => {
+        const { session } = pocket.config();
+        pocket.config().session = { expiresIn: 1 }; // 1 second
+
         let jwt = null;
-        let expirationTimeout = config.session.expiresIn;
-        config.session.expiresIn = 1; // 1 second
-        let promise = userManager.auth("john", "123456")
-            .then(user => {
-                jwt = user.jwt();
-                config.session.expiresIn = expirationTimeout; // restore
-                return Q.delay(1500);
-            })
-            .then(() => {
-                // jwt is now expired
-                return userManager.fromJWT(jwt);
-            });
-
-        expect(promise)
-            .to.be.rejected
-            .notify(done);
+        try {
+            const user = await userManager.auth("john", "123456");
+            ({ token: jwt } = await pocket.sessions.open(user));
+        } finally {
+            pocket.config().session = session; // restore
+        }
+
+        expect(await userManager.fromJWT(jwt)).to.have.property("username", "john");
+        await Q.delay(1500);
+        // jwt is now expired
+        await expect(userManager.fromJWT(jwt)).to.be.rejected;
+    })
+
+    it("Should only sign access tokens for a session", async () => {
+        const user = await userManager.auth("john", "123456");
+        expect(() => user.jwt()).to.throw();
     })
 
     it("Should have created the default _groups upon startup", async () => {
         const allGroups = _.map(await pocket.resource('_groups').find({}), 'name');
-        _.each(['admins', 'users'], baseGroup => {
+        _.each(['admins', 'users', 'anonymous'], baseGroup => {
             expect(_.includes(allGroups, baseGroup)).to.be.true;
         });
     });
 
-    _.each([ 'admins', 'users' ], (name) => {
+    _.each([ 'admins', 'users', 'anonymous' ], (name) => {
         it(`Should not be possible to delete the default ${name} group`, async () => {
             let rejected = false;
             try {
@@ -0,0 +1,191 @@
+const _                    = require("lodash");
+const http                 = require("http");
+const { expect }           = require("chai");
+const Pocket               = require("../src/pocket");
+const { WebhookManager }   = require("../src/webhooks");
+
+describe("Webhooks", () => {
+
+    let pocket      = null;
+    let receiver    = null;
+    let received    = [];
+    let status      = 200;
+    let url         = null;
+
+    before((done) => {
+        pocket = new Pocket();
+        pocket.resource("events", {
+            fields: {
+                name: "string"
+            }
+        });
+
+        // Local HTTP receiver standing in for the external endpoint
+        receiver = http.createServer((req, res) => {
+            let body = "";
+            req.on("data", chunk => body += chunk);
+            req.on("end", () => {
+                received.push({ headers: req.headers, body });
+                res.statusCode = status;
+                res.end();
+            });
+        });
+        receiver.listen(0, "127.0.0.1", () => {
+            url = `http://127.0.0.1:${receiver.address().port}/hooks`;
+            done();
+        });
+    });
+
+    afterEach(async () => {
+        received = [];
+        status = 200;
+        await pocket.webhooks.flush();
+        await pocket.resource("events").drop();
+        await pocket.resource("_webhooks").drop();
+        await pocket.resource("_deliveries").drop();
+        // Dropping doesn't emit changes
+        pocket.webhooks.invalidate();
+    });
+
+    after((done) => {
+        receiver.close(done);
+    });
+
+    it("Should send a signed payload when a record is created", async () => {
+        await pocket.webhooks.webhooks.create({ url, secret: "s3cr3t", resources: [ "events" ] });
+
+        const record = await pocket.resource("events").create({ name: "launch" });
+        await pocket.webhooks.flush();
+
+        expect(received).to.have.lengthOf(1);
+
+        const { headers, body } = received[0];
+        expect(headers["x-pocket-event"]).to.equal("events.create");
+        expect(headers["x-pocket-signature"]).to.equal(WebhookManager.sign(body, "s3cr3t"));
+
+        const payload = JSON.parse(body);
+        expect(payload.action).to.equal("create");
+        expect(payload.record._id).to.equal(record._id);
+
+        const [ delivery ] = await pocket.resource("_deliveries").find();
+        expect(delivery.status).to.equal("success");
+        expect(delivery.responseStatus).to.equal(200);
+        expect(delivery.attempts).to.equal(1);
+    });
+
+    it("Should only notify the webhooks listening to the event", async () => {
+        await pocket.webhooks.webhooks.create({ url, resources: [ "events" ], events: [ "remove" ] });
+        await pocket.webhooks.webhooks.create({ url, resources: [ "others" ] });
+        await pocket.webhooks.webhooks.create({ url, resources: [ "events" ], enabled: false });
+
+        const record = await pocket.resource("events").create({ name: "launch" });
+        await pocket.resource("events").mergeOne(record._id, { name: "landing" });
+        await pocket.resource("events").removeOne(record._id);
+        await pocket.webhooks.flush();
+
+        expect(received).to.have.lengthOf(1);
+        expect(received[0].headers["x-pocket-event"]).to.equal("events.remove");
+    });
+
+    it("Should reload the webhooks once they change", async () => {
+        const webhook = await pocket.webhooks.webhooks.create({ url, resources: [ "events" ] });
+
+        await pocket.resource("events").create({ name: "launch" });
+        await pocket.webhooks.flush();
+        expect(received).to.have.lengthOf(1);
+
+        await pocket.webhooks.webhooks.mergeOne(webhook._id, { enabled: false });
+        await pocket.resource("events").create({ name: "landing" });
+        await pocket.webhooks.flush();
+        expect(received).to.have.lengthOf(1);
+    });
+
+    it("Should not send the private resources, secret properties and restricted fields", async () => {
+        const orders = pocket.resource("orders") || pocket.resource("orders", {
+            fields: {
+                customer: "string",
+                hash: "string",
+                margin: { type: "number", access: { read: [ "admins" ] } }
+            }
+        });
+        await pocket.webhooks.webhooks.create({ url, resources: [ "orders", "_users" ] });
+
+        try {
+            await orders.create({ customer: "ACME", hash: "secret", margin: 12 });
+            await pocket.users.create("webhook-user", "password");
+            await pocket.webhooks.flush();
+
+            expect(received).to.have.lengthOf(1);
+            const { record } = JSON.parse(received[0].body);
+            expect(record.customer).to.equal("ACME");
+            expect(record).not.to.have.property("hash");
+            expect(record).not.to.have.property("margin");
+        } finally {
+            await orders.drop();
+            await pocket.users.resource.remove({ username: "webhook-user" });
+        }
+    });
+
+    it("Should retry failed deliveries with an exponential backoff", async () => {
+        const { backoff } = pocket.config().webhooks;
+        await pocket.webhooks.webhooks.create({ url, resources: [ "events" ] });
+
+        status = 500;
+        await pocket.resource("events").create({ name: "launch" });
+        await pocket.webhooks.flush();
+
+        let [ delivery ] = await pocket.resource("_deliveries").find();
+        expect(delivery.status).to.equal("pending");
+        expect(delivery.responseStatus).to.equal(500);
+        expect(delivery.nextAttemptAt).to.be.at.least(Date.now() + (backoff - 1) * 1000);
+
+        // Not due yet
+        expect(await pocket.webhooks.retryPending()).to.equal(0);
+
+        status = 200;
+        await pocket.resource("_deliveries").mergeOne(delivery._id, { nextAttemptAt: Date.now() - 1 }, { skipValidation: true });
+        expect(await pocket.webhooks.retryPending()).to.equal(1);
+
+        [ delivery ] = await pocket.resource("_deliveries").find();
+        expect(delivery.status).to.equal("success");
+        expect(delivery.attempts).to.equal(2);
+        expect(received).to.have.lengthOf(2);
+    });
+
+    it("Should give up after the maximum number of attempts", async () => {
+        const webhook = await pocket.webhooks.webhooks.create({ url: "http://127.0.0.1:1/unreachable" });
+        const { maxAttempts } = pocket.config().webhooks;
+
+        let delivery = await pocket.resource("_deliveries").create({
+            webhook: webhook._id,
+            event: "events.create",
+            payload: {},
+            status: "pending",
+            attempts: maxAttempts - 1
+        });
+
+        delivery = await pocket.webhooks.deliver(delivery, webhook);
+        expect(delivery.status).to.equal("failed");
+        expect(delivery.error).to.be.a("string");
+    });
+
+    it("Should use the default settings missing from the configuration", async () => {
+        const configured = new Pocket({ webhooks: { timeout: 5 } });
+        const webhook = await configured.webhooks.webhooks.create({ url });
+
+        let delivery = await configured.resource("_deliveries").create({
+            webhook: webhook._id,
+            event: "events.create",
+            payload: {},
+            status: "pending"
+        });
+
+        status = 500;
+        delivery = await configured.webhooks.deliver(delivery, webhook);
+        expect(delivery.status).to.equal("pending");
+        expect(delivery.nextAttemptAt).to.be.a("number").and.above(Date.now());
+
+        await configured.resource("_webhooks").drop();
+        await configured.resource("_deliveries").drop();
+    });
+});